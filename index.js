@@ -10,10 +10,75 @@ const JSONExporter = require('./src/exporters/jsonExporter');
 const CSVExporter = require('./src/exporters/csvExporter');
 const ExcelExporter = require('./src/exporters/excelExporter');
 const SQLExporter = require('./src/exporters/sqlExporter');
-const { generateFilename } = require('./src/utils/helpers');
+const StreamingExporter = require('./src/exporters/streamingExporter');
+const GraphExporter = require('./src/exporters/graphExporter');
+const ResponseCache = require('./src/utils/cache');
+const Checkpoint = require('./src/utils/checkpoint');
+const TitleMappings = require('./src/utils/titleMappings');
+const { parseToleranceRules } = require('./src/utils/conflicts');
+const { parseImageKinds } = require('./src/utils/imageDownloader');
+const { generateFilename, getCountryRelease, applyReleaseCountry, isStreamingIn, parseOfferTypes, parseSortBy, sortMovies, matchesRangeFilters, parseTitleType, expandEpisodes, parseLanguage, applyLocaleColumns, stripMergeBookkeeping, collectReviews } = require('./src/utils/helpers');
 
 const program = new Command();
 
+// TMDB movie lists available as commands, see movieListCommand()
+const MOVIE_LISTS = {
+  popular: { label: 'popular', method: 'getPopularMovies', prefix: 'popular' },
+  upcoming: { label: 'upcoming', method: 'getUpcomingMovies', prefix: 'upcoming' },
+  'now-playing': { label: 'now playing', method: 'getNowPlayingMovies', prefix: 'now_playing' }
+};
+
+function buildConfig(options) {
+  return {
+    omdbApiKey: process.env.OMDB_API_KEY,
+    tmdbApiKey: process.env.TMDB_API_KEY,
+    imdbApiKey: process.env.IMDB_API_KEY,
+    rateLimitPerSecond: parseFloat(process.env.RATE_LIMIT_PER_SECOND) || null,
+    rateLimits: {
+      omdb: parseFloat(process.env.OMDB_RATE_LIMIT_PER_SECOND) || null,
+      tmdb: parseFloat(process.env.TMDB_RATE_LIMIT_PER_SECOND) || null,
+      imdb: parseFloat(process.env.IMDB_RATE_LIMIT_PER_SECOND) || null
+    },
+    enabledApis: options.apis,
+    cacheEnabled: options.cache !== false,
+    cacheRefresh: options.refresh || false,
+    precedenceFile: options.precedence || process.env.FIELD_PRECEDENCE_FILE || null,
+    preferRules: options.prefer,
+    conflictTolerances: parseToleranceRules(options.tolerance),
+    titleType: parseTitleType(options.type),
+    language: parseLanguage(options.language || process.env.TMDB_LANGUAGE, '--language'),
+    fallbackLanguage: parseLanguage(options.fallbackLanguage || process.env.TMDB_FALLBACK_LANGUAGE, '--fallback-language'),
+    // Parsed here so a typo stops the run before anything is fetched
+    maxReviewsPerMovie: parseReviewLimit(options.includeReviews)
+  };
+}
+
+// Fetcher of the running command, kept for the request summary printed on exit
+let activeFetcher = null;
+
+function createFetcher(config) {
+  activeFetcher = new MovieFetcher(config);
+  return activeFetcher;
+}
+
+function printRequestSummary() {
+  if (!activeFetcher) return;
+
+  const stats = activeFetcher.requestStats;
+  const totals = stats.getTotals();
+  if (totals.requests === 0) return;
+
+  const color = totals.failed > 0 ? chalk.yellow : chalk.blue;
+  console.log(color(`\nAPI requests: ${totals.requests} sent, ${totals.retried} retried (${totals.retries} retries), ${totals.failed} failed after retries, ${totals.rejected} rejected`));
+
+  Object.keys(stats.providers).forEach(provider => {
+    const providerStats = stats.providers[provider];
+    if (providerStats.retried > 0 || providerStats.failed > 0) {
+      console.log(color(`  ${provider.toUpperCase()}: ${providerStats.requests} sent, ${providerStats.retried} retried, ${providerStats.failed} failed`));
+    }
+  });
+}
+
 function validateApiConfig(config) {
   const enabledApis = config.enabledApis || [];
   const issues = [];
@@ -38,24 +103,89 @@ function validateApiConfig(config) {
   };
 }
 
+/**
+ * Parse an integer option value; commander passes the previous value as a second
+ * argument, so parseInt can't be used directly (it would take it as the radix)
+ * @param {string} value - Option value from the command line
+ * @returns {number} Parsed integer
+ */
+function parseInteger(value) {
+  return parseInt(value, 10);
+}
+
+/**
+ * Add the TMDB language options
+ * @param {Command} command - Command to add the options to
+ * @returns {Command} The same command, for chaining
+ */
+function addLanguageOptions(command) {
+  return command
+    .option('--language <code>', 'Language of TMDB titles, descriptions and genre names, e.g. pl-PL (default: TMDB_LANGUAGE or en-US)')
+    .option('--fallback-language <code>', 'Language for text TMDB has not translated (default: TMDB_FALLBACK_LANGUAGE or en-US)');
+}
+
+/**
+ * Add the response cache options
+ * @param {Command} command - Command to add the options to
+ * @returns {Command} The same command, for chaining
+ */
+function addCacheOptions(command) {
+  return command
+    .option('--no-cache', 'Bypass the on-disk response cache')
+    .option('--refresh', 'Ignore cached responses but store fresh ones', false);
+}
+
+/**
+ * Add the export, enrichment, merge and cache options shared by the movie fetching commands
+ * @param {Command} command - Command to add the options to
+ * @returns {Command} The same command, for chaining
+ */
+function addCommonOptions(command) {
+  command
+    .option('--format <formats...>', 'Export formats (json, csv, excel, sql)', ['json'])
+    .option('--output-dir <dir>', 'Output directory', process.env.OUTPUT_DIR || './output')
+    .option('--enrich', 'Enrich data by fetching from multiple APIs', false)
+    .option('--release-country <code>', 'Country (ISO 3166-1, e.g. PL) whose release date fills release_year/month/day')
+    .option('--watch-region <code>', 'Only keep movies that can be streamed in this country (ISO 3166-1, e.g. PL)');
+
+  addLanguageOptions(command)
+    .option('--locale-columns <languages...>', 'Also export title, description and tagline in these languages, e.g. pl-PL en-US')
+    .option('--include-reviews [maxPerMovie]', 'Fetch TMDB reviews (up to 20 per movie, or the given number) into a reviews export')
+    .option('--download-images [kinds]', 'Save images to <output-dir>/images/<tmdb_id>/ (comma separated: posters, backdrops, logos, profiles; default: posters,backdrops)')
+    .option('--image-size <size>', 'TMDB image size, e.g. w500, w780 or original', 'original')
+    .option('--max-images <number>', 'Images per movie and kind (default: 1, profiles: 10)')
+    .option('--provenance', 'Record which API each merged field came from', false)
+    .option('--prefer <rules...>', 'Which API wins a field when merging, e.g. budget=tmdb,awards=omdb')
+    .option('--precedence <file>', 'JSON file with per-field API precedence (default: FIELD_PRECEDENCE_FILE)')
+    .option('--tolerance <rules...>', 'Conflict report tolerances, e.g. runtime=10,year=1,budget=0.2,director=0.3');
+
+  return addCacheOptions(command);
+}
+
 program
   .name('filmweb-fetcher')
   .description('Fetch movie data from multiple APIs and export to various formats')
   .version('1.0.0');
 
-program
+const searchCmd = program
   .command('search')
   .description('Search for movies by title')
-  .option('-t, --titles <titles...>', 'Movie titles to search for')
-  .option('-f, --file <file>', 'File containing movie titles (one per line)')
+  .option('-t, --titles <titles...>', 'Movie titles to search for (optionally "Title (Year)")')
+  .option('-f, --file <file>', 'File containing movie titles (one per line, "Title (Year)" or "Title|Year")')
+  .option('--checkpoint <file>', 'Checkpoint file to save progress to (default: auto when using --file)')
+  .option('--resume <checkpoint>', 'Resume an interrupted search from a checkpoint file')
+  .option('--concurrency <number>', 'Number of titles to search in parallel', '1')
+  .option('--min-confidence <number>', 'Matches below this confidence (0-1) go to the review report', '0.7')
+  .option('--interactive', 'Ask which movie was meant when a match is ambiguous', false)
+  .option('--mappings <file>', 'File of remembered title choices (default: TITLE_MAPPINGS_FILE or ./title_mappings.json)')
   .option('--start-date <date>', 'Start date filter (YYYY-MM-DD)')
   .option('--end-date <date>', 'End date filter (YYYY-MM-DD)')
   .option('--country <country>', 'Country filter')
   .option('--genre <genre>', 'Genre filter')
-  .option('--apis <apis...>', 'APIs to use (omdb, tmdb, imdb)', ['omdb', 'tmdb'])
-  .option('--format <formats...>', 'Export formats (json, csv, excel, sql)', ['json'])
-  .option('--output-dir <dir>', 'Output directory', process.env.OUTPUT_DIR || './output')
-  .option('--enrich', 'Enrich data by fetching from multiple APIs', false)
+  .option('--type <type>', 'Title type: movie, series, episode (one row per episode) or all (movies and series)', 'movie')
+  .option('--apis <apis...>', 'APIs to use (omdb, tmdb, imdb)', ['omdb', 'tmdb']);
+
+addCommonOptions(searchCmd)
   .action(async (options) => {
     try {
       await searchCommand(options);
@@ -65,20 +195,38 @@ program
     }
   });
 
-program
+const discoverCmd = program
   .command('discover')
   .description('Discover movies using filters')
   .option('--start-date <date>', 'Start date filter (YYYY-MM-DD)')
   .option('--end-date <date>', 'End date filter (YYYY-MM-DD)')
   .option('--country <country>', 'Country filter (ISO code, e.g., US, PL)')
-  .option('--genre <genre>', 'Genre filter')
-  .option('--max-pages <number>', 'Maximum pages to fetch (up to 500 for large datasets)', '50')
+  .option('--genre <genres...>', 'Genres by name or ID; several must all match, "Comedy|Drama" matches either')
+  .option('--keywords <keywords...>', 'TMDB keywords by name or ID, e.g. "based on novel or book" (several: all, "a|b": either)')
+  .option('--cast <people...>', 'Actors by name or TMDB ID (movies only; several: all, "a|b": either)')
+  .option('--crew <people...>', 'Directors, writers, ... by name or TMDB ID (movies only; several: all, "a|b": either)')
+  .option('--companies <companies...>', 'Production companies by name or TMDB ID (several: all, "a|b": either)')
+  .option('--min-rating <rating>', 'Minimum TMDB rating (0-10)', parseFloat)
+  .option('--max-rating <rating>', 'Maximum TMDB rating (0-10)', parseFloat)
+  .option('--min-votes <votes>', 'Minimum TMDB vote count', parseInteger)
+  .option('--max-votes <votes>', 'Maximum TMDB vote count', parseInteger)
+  .option('--min-runtime <minutes>', 'Minimum runtime in minutes', parseInteger)
+  .option('--max-runtime <minutes>', 'Maximum runtime in minutes', parseInteger)
+  .option('--original-language <code>', 'Original language (ISO 639-1, e.g. pl)')
+  .option('--certification <certifications...>', 'Age ratings, any of them, e.g. 12 15 (movies only)')
+  .option('--certification-country <code>', 'Country of --certification (default: --country, else US)')
+  .option('--watch-providers <providers...>', 'Streaming services by name or ID, any of them, e.g. Netflix "Disney Plus" (needs --watch-region)')
+  .option('--monetization <types...>', 'Offer types that count for --watch-region: flatrate, free, ads, rent, buy (default: flatrate free ads)')
+  .option('--sort-by <sort>', 'Sort by popularity, rating, votes, year, title or revenue, optionally with .asc or .desc', 'popularity')
+  .option('--type <type>', 'Title type: movie, series, episode (one row per episode) or all (movies and series)', 'movie')
+  .option('--max-pages <number>', 'Maximum pages to fetch, or "all"; above 500 the date range is sliced to get past TMDB\'s 500-page limit', '50')
   .option('--batch-size <number>', 'Batch size for processing (lower = less memory)', '100')
-  .option('--apis <apis...>', 'APIs to use for enrichment (omdb, tmdb, imdb)', ['tmdb'])
-  .option('--format <formats...>', 'Export formats (json, csv, excel, sql)', ['json'])
-  .option('--output-dir <dir>', 'Output directory', process.env.OUTPUT_DIR || './output')
-  .option('--enrich', 'Enrich data by fetching from multiple APIs', false)
+  .option('--apis <apis...>', 'APIs to use for enrichment (omdb, tmdb, imdb)', ['tmdb']);
+
+addCommonOptions(discoverCmd)
   .option('--streaming', 'Use streaming export for large datasets', false)
+  .option('--checkpoint <file>', 'Checkpoint file to save progress to (default: auto in output dir)')
+  .option('--resume <checkpoint>', 'Resume an interrupted discover run from a checkpoint file')
   .action(async (options) => {
     try {
       await discoverCommand(options);
@@ -88,15 +236,14 @@ program
     }
   });
 
-program
+const trendingCmd = program
   .command('trending')
   .description('Get trending movies')
   .option('--time-window <window>', 'Time window (day, week)', 'week')
   .option('--max-pages <number>', 'Maximum pages to fetch', '5')
-  .option('--apis <apis...>', 'APIs to use for enrichment', ['tmdb'])
-  .option('--format <formats...>', 'Export formats (json, csv, excel, sql)', ['json'])
-  .option('--output-dir <dir>', 'Output directory', process.env.OUTPUT_DIR || './output')
-  .option('--enrich', 'Enrich data by fetching from multiple APIs', false)
+  .option('--apis <apis...>', 'APIs to use for enrichment', ['tmdb']);
+
+addCommonOptions(trendingCmd)
   .action(async (options) => {
     try {
       await trendingCommand(options);
@@ -106,14 +253,13 @@ program
     }
   });
 
-program
+const topRatedCmd = program
   .command('top-rated')
   .description('Get top rated movies')
   .option('--max-pages <number>', 'Maximum pages to fetch', '5')
-  .option('--apis <apis...>', 'APIs to use for enrichment', ['tmdb'])
-  .option('--format <formats...>', 'Export formats (json, csv, excel, sql)', ['json'])
-  .option('--output-dir <dir>', 'Output directory', process.env.OUTPUT_DIR || './output')
-  .option('--enrich', 'Enrich data by fetching from multiple APIs', false)
+  .option('--apis <apis...>', 'APIs to use for enrichment', ['tmdb']);
+
+addCommonOptions(topRatedCmd)
   .action(async (options) => {
     try {
       await topRatedCommand(options);
@@ -123,23 +269,109 @@ program
     }
   });
 
-program
+Object.keys(MOVIE_LISTS).forEach(name => {
+  const listCmd = program
+    .command(name)
+    .description(`Get ${MOVIE_LISTS[name].label} movies with their regional release date and certification`)
+    .option('--region <code>', 'Country (ISO 3166-1, e.g. PL) for the list, release date and certification (default: from --language, else US)')
+    .option('--max-pages <number>', 'Maximum pages to fetch', '5')
+    .option('--apis <apis...>', 'APIs to use for enrichment', ['tmdb']);
+
+  addCommonOptions(listCmd)
+    .action(async (options) => {
+      try {
+        await movieListCommand(MOVIE_LISTS[name], options);
+      } catch (error) {
+        console.error(chalk.red('Error:'), error.message);
+        process.exit(1);
+      }
+    });
+});
+
+const companyCmd = program
+  .command('company')
+  .description('Get the movie catalogue of production companies (studios)')
+  .option('--name <names...>', 'Company names, e.g. "Studio Filmowe Kadr"')
+  .option('--id <ids...>', 'TMDB company IDs')
+  .option('--company-country <country>', 'Prefer companies from this country when a name is ambiguous (ISO code, e.g. PL)')
+  .option('--start-date <date>', 'Start date filter (YYYY-MM-DD)')
+  .option('--end-date <date>', 'End date filter (YYYY-MM-DD)')
+  .option('--genre <genre>', 'Genre filter')
+  .option('--max-pages <number>', 'Maximum pages to fetch', '50')
+  .option('--apis <apis...>', 'APIs to use for enrichment (omdb, tmdb, imdb)', ['tmdb']);
+
+addCommonOptions(companyCmd)
+  .action(async (options) => {
+    try {
+      await companyCommand(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+const personCmd = program
+  .command('person')
+  .description("Get a person's filmography (acting, directing, writing) with full movie details")
+  .option('--name <name>', 'Person name, e.g. "Agnieszka Holland"')
+  .option('--tmdb-id <id>', 'TMDB person ID')
+  .option('--imdb-id <id>', 'IMDb person ID (nm...)')
+  .option('--departments <departments...>', 'Departments to include (acting, directing, writing, production, ... or all)', ['acting', 'directing', 'writing'])
+  .option('--max-movies <number>', 'Maximum number of movies to fetch, newest first')
+  .option('--apis <apis...>', 'APIs to use (tmdb, imdb; omdb for enrichment)', ['tmdb']);
+
+addCommonOptions(personCmd)
+  .action(async (options) => {
+    try {
+      await personCommand(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+const graphCmd = program
+  .command('graph')
+  .description('Crawl TMDB recommendation/similar links from seed movies and export the movie graph')
+  .option('--titles <titles...>', 'Seed movie titles, optionally with a year: "Dune (2021)"')
+  .option('--tmdb-id <ids...>', 'Seed TMDB movie IDs')
+  .option('--imdb-id <ids...>', 'Seed IMDb IDs (tt...)')
+  .option('--depth <number>', 'Link hops to follow from the seeds', '2')
+  .option('--max-nodes <number>', 'Stop adding movies at this many', '200')
+  .option('--neighbors <number>', 'Movies taken from each recommendation/similar list (max 20)', '10')
+  .option('--edges <types...>', 'Links to follow (recommendations, similar)', ['recommendations', 'similar']);
+
+addLanguageOptions(graphCmd)
+  .option('--format <formats...>', 'Export formats (graphml, gexf, dot, csv)', ['graphml'])
+  .option('--output-dir <dir>', 'Output directory', process.env.OUTPUT_DIR || './output');
+
+addCacheOptions(graphCmd)
+  .action(async (options) => {
+    try {
+      await graphCommand(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+const advancedSearchCmd = program
   .command('advanced-search')
   .description('Advanced search with complex filters')
   .option('--min-rating <rating>', 'Minimum IMDB rating (0-10)', parseFloat)
   .option('--max-rating <rating>', 'Maximum IMDB rating (0-10)', parseFloat)
-  .option('--min-votes <votes>', 'Minimum vote count', parseInt)
-  .option('--min-year <year>', 'Minimum release year', parseInt)
-  .option('--max-year <year>', 'Maximum release year', parseInt)
+  .option('--min-votes <votes>', 'Minimum vote count', parseInteger)
+  .option('--min-year <year>', 'Minimum release year', parseInteger)
+  .option('--max-year <year>', 'Maximum release year', parseInteger)
   .option('--genres <genres...>', 'Genres to include')
   .option('--countries <countries...>', 'Countries to include (ISO codes)')
   .option('--languages <languages...>', 'Languages to include (ISO codes)')
-  .option('--sort-by <sort>', 'Sort by (popularity, rating, year, votes)', 'popularity')
+  .option('--type <type>', 'Title type: movie, series, episode (one row per episode) or all (movies and series)', 'movie')
+  .option('--sort-by <sort>', 'Sort by popularity, rating, votes, year, title or revenue, optionally with .asc or .desc', 'popularity')
   .option('--max-pages <number>', 'Maximum pages to fetch', '10')
-  .option('--apis <apis...>', 'APIs to use', ['imdb', 'tmdb'])
-  .option('--format <formats...>', 'Export formats (json, csv, excel, sql)', ['json'])
-  .option('--output-dir <dir>', 'Output directory', process.env.OUTPUT_DIR || './output')
-  .option('--enrich', 'Enrich data by fetching from multiple APIs', false)
+  .option('--apis <apis...>', 'APIs to use', ['imdb', 'tmdb']);
+
+addCommonOptions(advancedSearchCmd)
   .action(async (options) => {
     try {
       await advancedSearchCommand(options);
@@ -149,6 +381,19 @@ program
     }
   });
 
+program
+  .command('cache <action>')
+  .description('Manage the on-disk response cache (stats, prune, clear)')
+  .option('--provider <provider>', 'Limit to one provider (omdb, tmdb, imdb)')
+  .action(async (action, options) => {
+    try {
+      await cacheCommand(action, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('config')
   .description('Show configuration status')
@@ -158,7 +403,14 @@ program
     console.log(`TMDB API Key: ${process.env.TMDB_API_KEY ? chalk.green('✓ Set') : chalk.red('✗ Not set')}`);
     console.log(`IMDB API Key: ${process.env.IMDB_API_KEY ? chalk.green('✓ Set') : chalk.yellow('Optional')}`);
     console.log(`Output Directory: ${process.env.OUTPUT_DIR || './output'}`);
-    console.log(`Rate Limit: ${process.env.RATE_LIMIT_PER_SECOND || '10'} requests/second`);
+    console.log(`Rate Limit: ${process.env.RATE_LIMIT_PER_SECOND || 'provider defaults'} requests/second`);
+    ['OMDB', 'TMDB', 'IMDB'].forEach(provider => {
+      const providerLimit = process.env[`${provider}_RATE_LIMIT_PER_SECOND`];
+      if (providerLimit) {
+        console.log(`  ${provider} Rate Limit: ${providerLimit} requests/second`);
+      }
+    });
+    console.log(`Cache Directory: ${process.env.CACHE_DIR || './.cache'}`);
     
     if (!process.env.OMDB_API_KEY && !process.env.TMDB_API_KEY) {
       console.log(chalk.yellow('\n⚠️  Warning: No API keys configured. Limited functionality available.'));
@@ -166,30 +418,44 @@ program
     }
   });
 
+async function loadCheckpoint(filePath, type) {
+  const checkpoint = new Checkpoint(filePath);
+  const state = await checkpoint.load();
+
+  if (!state) {
+    throw new Error(`Checkpoint not found: ${filePath}`);
+  }
+  if (state.type !== type) {
+    throw new Error(`Checkpoint ${filePath} belongs to a ${state.type} run, not ${type}`);
+  }
+
+  return checkpoint;
+}
+
 async function searchCommand(options) {
   let titles = [];
+  let checkpoint = null;
   
-  // Get titles from command line or file
-  if (options.titles) {
+  // Get titles from a checkpoint, command line or file
+  if (options.resume) {
+    checkpoint = await loadCheckpoint(options.resume, 'titles');
+    titles = checkpoint.state.titles;
+    // Keep searching for what the interrupted run searched for
+    options.type = checkpoint.state.filters.titleType || options.type;
+  } else if (options.titles) {
     titles = options.titles;
   } else if (options.file) {
     const fs = require('fs');
     const content = fs.readFileSync(options.file, 'utf8');
     titles = content.split('\n').map(line => line.trim()).filter(line => line);
   } else {
-    console.error(chalk.red('Error: Please provide titles with --titles or --file option'));
+    console.error(chalk.red('Error: Please provide titles with --titles, --file or --resume option'));
     process.exit(1);
   }
 
-  console.log(chalk.blue(`Searching for ${titles.length} movies using APIs: ${options.apis.join(', ')}`));
+  console.log(chalk.blue(`Searching for ${titles.length} titles (${options.type}) using APIs: ${options.apis.join(', ')}`));
 
-  const config = {
-    omdbApiKey: process.env.OMDB_API_KEY,
-    tmdbApiKey: process.env.TMDB_API_KEY,
-    imdbApiKey: process.env.IMDB_API_KEY,
-    rateLimitPerSecond: parseInt(process.env.RATE_LIMIT_PER_SECOND) || 10,
-    enabledApis: options.apis
-  };
+  const config = buildConfig(options);
 
   // Validate API requirements
   const validationResult = validateApiConfig(config);
@@ -198,96 +464,132 @@ async function searchCommand(options) {
     process.exit(1);
   }
 
-  const fetcher = new MovieFetcher(config);
+  const fetcher = createFetcher(config);
   
-  const filters = {
+  const filters = checkpoint ? checkpoint.state.filters : {
     startDate: options.startDate,
     endDate: options.endDate,
     country: options.country,
-    genre: options.genre
+    genre: options.genre,
+    titleType: config.titleType
   };
 
-  let movies = await fetcher.fetchMoviesByTitles(titles, filters);
+  // Long title lists are checkpointed so an interrupted run can be resumed
+  if (!checkpoint && (options.file || options.checkpoint)) {
+    checkpoint = options.checkpoint ? new Checkpoint(options.checkpoint) : Checkpoint.create(options.outputDir, 'search');
+  }
+  if (checkpoint) {
+    console.log(chalk.blue(`Checkpoint: ${checkpoint.filePath} (resume with --resume)`));
+  }
+
+  // Remembered choices make repeated runs over the same list fully automatic
+  const mappings = new TitleMappings(options.mappings);
+  const mappingCount = await mappings.load();
+  if (mappingCount > 0) {
+    console.log(chalk.blue(`Loaded ${mappingCount} title mappings from ${mappings.filePath}`));
+  }
+
+  let concurrency = parseInt(options.concurrency) || 1;
+  if (options.interactive) {
+    if (!process.stdin.isTTY) {
+      throw new Error('--interactive needs a terminal to ask questions');
+    }
+    if (concurrency > 1) {
+      console.warn(chalk.yellow('Interactive mode searches one title at a time, ignoring --concurrency'));
+      concurrency = 1;
+    }
+    console.log(chalk.blue(`Choices will be saved to ${mappings.filePath}`));
+  }
+
+  const minConfidence = parseFloat(options.minConfidence);
+  const matchReport = [];
+  let movies = await fetcher.fetchMoviesByTitles(titles, filters, {
+    checkpoint,
+    concurrency,
+    minConfidence: isNaN(minConfidence) ? undefined : minConfidence,
+    matchReport,
+    mappings,
+    interactive: options.interactive
+  });
 
   if (options.enrich && movies.length > 0) {
     movies = await fetcher.enrichMovieData(movies);
   }
 
+  await exportMatchReport(matchReport, options.format, options.outputDir, 'search');
+  await exportConflictReport(fetcher, options.format, options.outputDir, 'search');
+
   if (movies.length === 0) {
     console.log(chalk.yellow('No movies found matching the criteria.'));
+    if (checkpoint) await checkpoint.remove();
     return;
   }
 
-  await exportMovies(movies, options.format, options.outputDir, 'search');
+  await exportMovies(movies, options.format, options.outputDir, 'search', options);
+  if (checkpoint) await checkpoint.remove();
 }
 
-async function discoverWithStreaming(fetcher, filters, options) {
+async function discoverWithStreaming(fetcher, filters, options, checkpoint) {
   console.log(chalk.blue('Using streaming mode for large dataset...'));
-  
-  // Create streaming exporters
-  const streamingExporters = {};
-  const { generateFilename } = require('./src/utils/helpers');
-  
-  for (const format of options.format) {
-    if (format === 'json') {
-      const filename = generateFilename('discover_movies_streaming', 'json');
-      streamingExporters.json = {
-        filename,
-        path: require('path').join(options.outputDir, filename),
-        first: true
-      };
-    } else if (format === 'csv') {
-      const filename = generateFilename('discover_movies_streaming', 'csv');
-      streamingExporters.csv = {
-        filename,
-        path: require('path').join(options.outputDir, filename),
-        writer: null
-      };
-    }
+
+  const formats = options.format.filter(format => {
+    if (StreamingExporter.supportsFormat(format)) return true;
+    console.warn(chalk.yellow(`Format "${format}" is not supported in streaming mode (use json, csv or sql)`));
+    return false;
+  });
+
+  if (formats.length === 0) {
+    throw new Error('No streaming-capable export format selected');
   }
-  
-  let totalProcessed = 0;
-  let totalExported = 0;
-  
-  // Progress callback for streaming
-  const onProgress = async (progress) => {
-    console.log(chalk.blue(`Progress: Page ${progress.page}/${progress.totalPages}, Found: ${progress.currentResults}, Total available: ${progress.totalResults}`));
+
+  // Reopen the files of an interrupted run, or start new ones
+  const exporter = new StreamingExporter(options.outputDir, {
+    localeColumns: parseLocaleColumns(options),
+    reviews: Boolean(options.includeReviews)
+  });
+  const savedStreaming = checkpoint.state && checkpoint.state.streaming;
+  await exporter.open(formats, 'discover', savedStreaming);
+
+  console.log(chalk.green('Streaming to:'));
+  exporter.getFilePaths().forEach(file => console.log(chalk.cyan(`  ${file}`)));
+
+  const onProgress = (progress) => {
+    const window = progress.window ? `, Window: ${progress.window} (${progress.windowsCompleted} done, ${progress.windowsPending} to go)` : '';
+    console.log(chalk.blue(`Progress: Page ${progress.page}/${progress.totalPages}${window}, Found: ${progress.currentResults}, Total available: ~${progress.totalResults}`));
   };
-  
-  // Process in chunks to manage memory
-  const chunkSize = filters.batchSize || 100;
-  let allMovies = [];
-  
-  const movies = await fetcher.discoverMovies(filters, onProgress);
-  
-  if (movies.length === 0) {
+
+  // Each page is enriched (if requested) and appended before the next one is fetched
+  const onBatch = async (movies) => {
+    let batch = movies;
+    if (options.enrich && batch.length > 0) {
+      batch = await fetcher.enrichMovieData(batch);
+    }
+    await exporter.appendBatch(await prepareMovies(fetcher, batch, options));
+  };
+
+  await fetcher.discoverMovies(filters, onProgress, {
+    checkpoint,
+    onBatch,
+    checkpointData: () => ({ streaming: exporter.getState() })
+  });
+
+  if (exporter.rowCount === 0) {
     console.log(chalk.yellow('No movies found matching the criteria.'));
     console.log(chalk.blue('Try adjusting your filters or check the debug output above.'));
-    return;
+  } else {
+    console.log(chalk.green('\nExported files:'));
+    exporter.getFilePaths().forEach(file => console.log(chalk.cyan(`  ${file}`)));
+    console.log(chalk.blue(`\nTotal movies exported: ${exporter.rowCount}`));
   }
-  
-  console.log(chalk.green(`Successfully discovered ${movies.length} movies!`));
-  await exportMovies(movies, options.format, options.outputDir, 'discover');
+
+  await exportConflictReport(fetcher, formats, options.outputDir, 'discover');
+  await checkpoint.remove();
 }
 
 async function discoverCommand(options) {
   console.log(chalk.blue('Discovering movies...'));
-  console.log(chalk.blue(`Filters: ${JSON.stringify({
-    startDate: options.startDate,
-    endDate: options.endDate,
-    country: options.country,
-    genre: options.genre,
-    maxPages: options.maxPages,
-    batchSize: options.batchSize
-  }, null, 2)}`));
 
-  const config = {
-    omdbApiKey: process.env.OMDB_API_KEY,
-    tmdbApiKey: process.env.TMDB_API_KEY,
-    imdbApiKey: process.env.IMDB_API_KEY,
-    rateLimitPerSecond: parseInt(process.env.RATE_LIMIT_PER_SECOND) || 10,
-    enabledApis: options.apis
-  };
+  const config = buildConfig(options);
 
   // Validate API requirements
   const validationResult = validateApiConfig(config);
@@ -302,56 +604,87 @@ async function discoverCommand(options) {
     process.exit(1);
   }
 
-  const fetcher = new MovieFetcher(config);
+  const fetcher = createFetcher(config);
   
-  const filters = {
+  let filters = {
     startDate: options.startDate,
     endDate: options.endDate,
     country: options.country,
     genre: options.genre,
-    maxPages: parseInt(options.maxPages) || 50,
+    keywords: options.keywords,
+    cast: options.cast,
+    crew: options.crew,
+    companies: options.companies,
+    minRating: options.minRating,
+    maxRating: options.maxRating,
+    minVotes: options.minVotes,
+    maxVotes: options.maxVotes,
+    minRuntime: options.minRuntime,
+    maxRuntime: options.maxRuntime,
+    originalLanguage: options.originalLanguage,
+    certification: options.certification,
+    certificationCountry: options.certificationCountry,
+    watchRegion: options.watchRegion,
+    watchProviders: options.watchProviders,
+    monetization: options.monetization,
+    sortBy: parseSortBy(options.sortBy),
+    titleType: config.titleType,
+    maxPages: options.maxPages === 'all' ? 'all' : parseInt(options.maxPages) || 50,
     batchSize: parseInt(options.batchSize) || 100
   };
+  console.log(chalk.blue(`Filters: ${JSON.stringify(filters, null, 2)}`));
+
+  // Every discover run is checkpointed so it can be resumed after a crash
+  let checkpoint;
+  if (options.resume) {
+    checkpoint = await loadCheckpoint(options.resume, 'discover');
+    filters = checkpoint.state.filters;
+    options.type = filters.titleType || 'movie';
+    fetcher.titleType = options.type;
+    options.monetization = filters.monetization;
+    console.log(chalk.blue(`Resuming with saved filters: ${JSON.stringify(filters)}`));
+  } else {
+    checkpoint = options.checkpoint ? new Checkpoint(options.checkpoint) : Checkpoint.create(options.outputDir, 'discover');
+  }
+  console.log(chalk.blue(`Checkpoint: ${checkpoint.filePath} (resume with --resume)`));
 
-  // For large datasets, use streaming approach
-  if (options.streaming || parseInt(options.maxPages) > 100) {
-    await discoverWithStreaming(fetcher, filters, options);
+  // For large datasets (or resuming a streaming run), use streaming approach
+  const canStream = options.format.every(format => StreamingExporter.supportsFormat(format));
+  if (options.streaming || ((filters.maxPages === 'all' || filters.maxPages > 100) && canStream) || (checkpoint.state && checkpoint.state.streaming)) {
+    await discoverWithStreaming(fetcher, filters, options, checkpoint);
     return;
   }
 
-  let movies = await fetcher.discoverMovies(filters);
+  let movies = await fetcher.discoverMovies(filters, null, { checkpoint });
 
   if (options.enrich && movies.length > 0) {
     console.log(chalk.blue(`Enriching ${movies.length} movies...`));
     movies = await fetcher.enrichMovieData(movies);
+    await exportConflictReport(fetcher, options.format, options.outputDir, 'discover');
   }
 
   if (movies.length === 0) {
     console.log(chalk.yellow('No movies found matching the criteria.'));
     console.log(chalk.blue('Try adjusting your filters or check the debug output above.'));
+    await checkpoint.remove();
     return;
   }
 
-  await exportMovies(movies, options.format, options.outputDir, 'discover');
+  await exportMovies(movies, options.format, options.outputDir, 'discover', { ...options, filters });
+  await checkpoint.remove();
 }
 
 async function trendingCommand(options) {
   console.log(chalk.blue(`Getting trending movies (${options.timeWindow})...`));
 
-  const config = {
-    omdbApiKey: process.env.OMDB_API_KEY,
-    tmdbApiKey: process.env.TMDB_API_KEY,
-    imdbApiKey: process.env.IMDB_API_KEY,
-    rateLimitPerSecond: parseInt(process.env.RATE_LIMIT_PER_SECOND) || 10,
-    enabledApis: options.apis
-  };
+  const config = buildConfig(options);
 
   if (!config.tmdbApiKey) {
     console.error(chalk.red('Error: TMDB API key is required for trending movies.'));
     process.exit(1);
   }
 
-  const fetcher = new MovieFetcher(config);
+  const fetcher = createFetcher(config);
   const maxPages = parseInt(options.maxPages) || 5;
   let allMovies = [];
 
@@ -374,26 +707,21 @@ async function trendingCommand(options) {
     allMovies = await fetcher.enrichMovieData(allMovies);
   }
 
-  await exportMovies(allMovies, options.format, options.outputDir, 'trending');
+  await exportConflictReport(fetcher, options.format, options.outputDir, 'trending');
+  await exportMovies(allMovies, options.format, options.outputDir, 'trending', options);
 }
 
 async function topRatedCommand(options) {
   console.log(chalk.blue('Getting top rated movies...'));
 
-  const config = {
-    omdbApiKey: process.env.OMDB_API_KEY,
-    tmdbApiKey: process.env.TMDB_API_KEY,
-    imdbApiKey: process.env.IMDB_API_KEY,
-    rateLimitPerSecond: parseInt(process.env.RATE_LIMIT_PER_SECOND) || 10,
-    enabledApis: options.apis
-  };
+  const config = buildConfig(options);
 
   if (!config.tmdbApiKey) {
     console.error(chalk.red('Error: TMDB API key is required for top rated movies.'));
     process.exit(1);
   }
 
-  const fetcher = new MovieFetcher(config);
+  const fetcher = createFetcher(config);
   const maxPages = parseInt(options.maxPages) || 5;
   let allMovies = [];
 
@@ -416,42 +744,251 @@ async function topRatedCommand(options) {
     allMovies = await fetcher.enrichMovieData(allMovies);
   }
 
-  await exportMovies(allMovies, options.format, options.outputDir, 'top_rated');
+  await exportConflictReport(fetcher, options.format, options.outputDir, 'top_rated');
+  await exportMovies(allMovies, options.format, options.outputDir, 'top_rated', options);
+}
+
+async function movieListCommand(list, options) {
+  const config = buildConfig(options);
+
+  if (!config.tmdbApiKey) {
+    console.error(chalk.red(`Error: TMDB API key is required for ${list.label} movies.`));
+    process.exit(1);
+  }
+
+  // "pl-PL" implies Poland when no region is given
+  const languageRegion = config.language && config.language.split('-')[1];
+  const region = (options.region || languageRegion || 'US').toUpperCase();
+  const locale = { region };
+
+  console.log(chalk.blue(`Getting ${list.label} movies in ${region}${config.language ? ` (${config.language})` : ''}...`));
+
+  const fetcher = createFetcher(config);
+  const maxPages = parseInt(options.maxPages) || 5;
+  let allMovies = [];
+
+  for (let page = 1; page <= maxPages; page++) {
+    try {
+      const result = await fetcher.tmdbApi[list.method](page, locale);
+      if (page === 1 && result.dates) {
+        console.log(chalk.gray(`Release window: ${result.dates.minimum} to ${result.dates.maximum}`));
+      }
+      if (result.results) {
+        for (const movie of result.results) {
+          const movieDetails = await fetcher.tmdbApi.getMovieDetails(movie.id, locale);
+          const normalized = fetcher.tmdbApi.normalizeMovieData(movieDetails);
+          if (normalized) {
+            const release = getCountryRelease(normalized.release_dates, region);
+            allMovies.push({
+              ...normalized,
+              release_region: region,
+              regional_release_date: release ? release.date : null,
+              certification: release ? release.certification : null
+            });
+          }
+        }
+      }
+      if (!result.total_pages || page >= result.total_pages) break;
+    } catch (error) {
+      console.warn(chalk.yellow(`Failed to fetch ${list.label} page ${page}: ${error.message}`));
+    }
+  }
+
+  if (options.enrich && allMovies.length > 0) {
+    allMovies = await fetcher.enrichMovieData(allMovies);
+  }
+
+  await exportConflictReport(fetcher, options.format, options.outputDir, list.prefix);
+  await exportMovies(allMovies, options.format, options.outputDir, list.prefix, options);
+}
+
+async function companyCommand(options) {
+  if (!options.name && !options.id) {
+    console.error(chalk.red('Error: Please provide companies with --name or --id'));
+    process.exit(1);
+  }
+
+  const config = buildConfig(options);
+
+  if (!config.tmdbApiKey) {
+    console.error(chalk.red('Error: TMDB API key is required for company catalogues.'));
+    process.exit(1);
+  }
+
+  const fetcher = createFetcher(config);
+  const companies = await fetcher.resolveTmdbCompanies({
+    names: options.name,
+    ids: options.id,
+    country: options.companyCountry
+  });
+
+  if (companies.length === 0) {
+    console.log(chalk.yellow('No companies found. Check the names or pass --id.'));
+    return;
+  }
+
+  console.log(chalk.blue(`Companies: ${companies.map(company => `${company.name} (${company.origin_country || '??'}, ID ${company.id})`).join(', ')}`));
+
+  let movies = await fetcher.discoverMovies({
+    companyIds: companies.map(company => company.id),
+    startDate: options.startDate,
+    endDate: options.endDate,
+    genre: options.genre,
+    watchRegion: options.watchRegion,
+    maxPages: parseInt(options.maxPages) || 50
+  });
+
+  if (options.enrich && movies.length > 0) {
+    movies = await fetcher.enrichMovieData(movies);
+    await exportConflictReport(fetcher, options.format, options.outputDir, 'company');
+  }
+
+  if (movies.length === 0) {
+    console.log(chalk.yellow('No movies found for these companies and filters.'));
+    return;
+  }
+
+  await exportMovies(movies, options.format, options.outputDir, 'company', options);
+}
+
+async function personCommand(options) {
+  if (!options.name && !options.tmdbId && !options.imdbId) {
+    console.error(chalk.red('Error: Please provide a person with --name, --tmdb-id or --imdb-id'));
+    process.exit(1);
+  }
+
+  const config = buildConfig(options);
+
+  if (!config.tmdbApiKey && !(options.imdbId && options.apis.includes('imdb'))) {
+    console.error(chalk.red('Error: TMDB API key is required for person lookups (or use --imdb-id with --apis imdb).'));
+    process.exit(1);
+  }
+
+  const fetcher = createFetcher(config);
+  const { person, movies } = await fetcher.fetchPersonFilmography({
+    name: options.name,
+    tmdbId: options.tmdbId,
+    imdbId: options.imdbId
+  }, {
+    departments: options.departments,
+    maxMovies: parseInt(options.maxMovies) || null
+  });
+
+  if (!person) {
+    console.log(chalk.yellow('No person found. Check the name or pass --tmdb-id / --imdb-id.'));
+    return;
+  }
+
+  console.log(chalk.blue(`${person.name}: ${Object.keys(person.filmography).map(department => `${person.filmography[department].length} ${department}`).join(', ') || 'no movie credits'}`));
+
+  let allMovies = movies;
+  if (options.enrich && allMovies.length > 0) {
+    allMovies = await fetcher.enrichMovieData(allMovies);
+  }
+
+  await exportPersonProfile(stripMergeBookkeeping(person, options), options.format, options.outputDir);
+  await exportConflictReport(fetcher, options.format, options.outputDir, 'person');
+
+  if (allMovies.length === 0) {
+    console.log(chalk.yellow('No movies found in the selected departments.'));
+    return;
+  }
+
+  await exportMovies(allMovies, options.format, options.outputDir, 'person', options);
+}
+
+async function graphCommand(options) {
+  if (!options.titles && !options.tmdbId && !options.imdbId) {
+    console.error(chalk.red('Error: Please provide seed movies with --titles, --tmdb-id or --imdb-id'));
+    process.exit(1);
+  }
+
+  const config = buildConfig({ ...options, apis: ['tmdb'] });
+
+  if (!config.tmdbApiKey) {
+    console.error(chalk.red('Error: TMDB API key is required for the movie graph.'));
+    process.exit(1);
+  }
+
+  const fetcher = createFetcher(config);
+  const seedIds = await fetcher.resolveSeedMovies({
+    titles: options.titles,
+    tmdbIds: options.tmdbId,
+    imdbIds: options.imdbId
+  });
+
+  if (seedIds.length === 0) {
+    console.log(chalk.yellow('None of the seed movies were found.'));
+    return;
+  }
+
+  const graph = await fetcher.crawlMovieGraph(seedIds, {
+    depth: parseInt(options.depth) || 0,
+    maxNodes: parseInt(options.maxNodes) || 200,
+    neighbors: Math.min(parseInt(options.neighbors) || 10, 20),
+    edgeTypes: options.edges
+  });
+
+  const exporter = new GraphExporter(options.outputDir);
+  const exportedFiles = [];
+
+  for (const format of options.format) {
+    switch (format.toLowerCase()) {
+      case 'graphml':
+        exportedFiles.push(await exporter.exportGraphML(graph, generateFilename('movie_graph', 'graphml')));
+        break;
+      case 'gexf':
+        exportedFiles.push(await exporter.exportGEXF(graph, generateFilename('movie_graph', 'gexf')));
+        break;
+      case 'dot':
+        exportedFiles.push(await exporter.exportDOT(graph, generateFilename('movie_graph', 'dot')));
+        break;
+      case 'csv':
+        exportedFiles.push(await exporter.exportEdgeList(graph, generateFilename('movie_graph_edges', 'csv')));
+        exportedFiles.push(await exporter.exportNodeList(graph, generateFilename('movie_graph_nodes', 'csv')));
+        break;
+      default:
+        console.warn(chalk.yellow(`Unknown graph format: ${format} (use graphml, gexf, dot, csv)`));
+    }
+  }
+
+  console.log(chalk.green('\nExported files:'));
+  exportedFiles.forEach(file => console.log(chalk.cyan(`  ${file}`)));
+  console.log(chalk.blue(`\nGraph: ${graph.nodes.length} movies, ${graph.edges.length} links`));
 }
 
 async function advancedSearchCommand(options) {
   console.log(chalk.blue('Performing advanced search...'));
 
-  const config = {
-    omdbApiKey: process.env.OMDB_API_KEY,
-    tmdbApiKey: process.env.TMDB_API_KEY,
-    imdbApiKey: process.env.IMDB_API_KEY,
-    rateLimitPerSecond: parseInt(process.env.RATE_LIMIT_PER_SECOND) || 10,
-    enabledApis: options.apis
-  };
+  const config = buildConfig(options);
 
-  const fetcher = new MovieFetcher(config);
-  let allMovies = [];
+  const fetcher = createFetcher(config);
+  const maxPages = parseInt(options.maxPages) || 10;
+  const records = [];
+
+  // Effective filters, also recorded in the JSON metadata
+  const filters = {
+    minRating: options.minRating,
+    maxRating: options.maxRating,
+    minVotes: options.minVotes,
+    startYear: options.minYear,
+    endYear: options.maxYear,
+    genres: options.genres,
+    countries: options.countries,
+    languages: options.languages,
+    titleType: config.titleType,
+    sortBy: parseSortBy(options.sortBy)
+  };
+  console.log(chalk.blue(`Filters: ${JSON.stringify(filters, null, 2)}`));
 
   // Use IMDB API for advanced search if available
   if (fetcher.imdbApi && options.apis.includes('imdb')) {
-    const filters = {
-      minRating: options.minRating,
-      maxRating: options.maxRating,
-      minVotes: options.minVotes,
-      startYear: options.minYear,
-      endYear: options.maxYear,
-      genres: options.genres,
-      countries: options.countries,
-      languages: options.languages
-    };
-
     try {
       const result = await fetcher.imdbApi.advancedTitleSearch(filters);
       if (result.titles) {
-        for (const title of result.titles.slice(0, parseInt(options.maxPages) * 20)) {
+        for (const title of result.titles.slice(0, maxPages * 20)) {
           const normalized = fetcher.imdbApi.normalizeMovieData(title);
-          if (normalized) allMovies.push(normalized);
+          if (normalized) records.push(normalized);
         }
       }
     } catch (error) {
@@ -461,41 +998,250 @@ async function advancedSearchCommand(options) {
 
   // Use TMDB discover as fallback/additional source
   if (fetcher.tmdbApi && options.apis.includes('tmdb')) {
-    const tmdbFilters = {
-      'vote_average.gte': options.minRating,
-      'vote_average.lte': options.maxRating,
-      'vote_count.gte': options.minVotes,
-      'primary_release_date.gte': options.minYear ? `${options.minYear}-01-01` : null,
-      'primary_release_date.lte': options.maxYear ? `${options.maxYear}-12-31` : null,
-      with_origin_country: options.countries ? options.countries.join(',') : null
-    };
-
-    const maxPages = parseInt(options.maxPages) || 10;
+    const filtersByType = {};
+    for (const mediaType of fetcher.getTmdbMediaTypes(config.titleType)) {
+      filtersByType[mediaType] = await fetcher.buildTmdbDiscoverFilters({
+        minRating: filters.minRating,
+        maxRating: filters.maxRating,
+        minVotes: filters.minVotes,
+        startDate: filters.startYear ? `${filters.startYear}-01-01` : null,
+        endDate: filters.endYear ? `${filters.endYear}-12-31` : null,
+        genre: filters.genres,
+        titleType: filters.titleType,
+        // Any of the languages will do, as on IMDB
+        originalLanguage: filters.languages ? filters.languages.join('|') : null,
+        sortBy: filters.sortBy
+      }, mediaType);
+
+      // Any of the countries will do, as on IMDB
+      if (filters.countries) {
+        filtersByType[mediaType].with_origin_country = filters.countries.map(country => country.toUpperCase()).join('|');
+      }
+    }
+
     for (let page = 1; page <= maxPages; page++) {
       try {
-        const result = await fetcher.tmdbApi.discoverMovies({ ...tmdbFilters, page });
-        if (result.results) {
-          for (const movie of result.results) {
-            const movieDetails = await fetcher.tmdbApi.getMovieDetails(movie.id);
-            const normalized = fetcher.tmdbApi.normalizeMovieData(movieDetails);
-            if (normalized) allMovies.push(normalized);
-          }
+        const result = await fetcher.discoverTmdbPage(filtersByType, page);
+        for (const title of result.results) {
+          const normalized = await fetcher.fetchTmdbTitle(title);
+          if (normalized) records.push(normalized);
         }
+        if (page >= result.total_pages) break;
       } catch (error) {
         console.warn(chalk.yellow(`TMDB discover page ${page} failed: ${error.message}`));
       }
     }
   }
 
+  // The same title from IMDB and TMDB becomes one movie; both providers' results then
+  // go through the same limits and order
+  let allMovies = fetcher.combineProviderResults(records);
+
   if (options.enrich && allMovies.length > 0) {
     allMovies = await fetcher.enrichMovieData(allMovies);
   }
 
-  console.log(chalk.green(`Found ${allMovies.length} movies matching advanced criteria`));
-  await exportMovies(allMovies, options.format, options.outputDir, 'advanced_search');
+  allMovies = sortMovies(allMovies.filter(movie => matchesRangeFilters(movie, filters)), filters.sortBy);
+
+  console.log(chalk.green(`Found ${allMovies.length} movies matching advanced criteria (${records.length} provider results)`));
+  await exportConflictReport(fetcher, options.format, options.outputDir, 'advanced_search');
+  await exportMovies(allMovies, options.format, options.outputDir, 'advanced_search', { ...options, filters });
 }
 
-async function exportMovies(movies, formats, outputDir, prefix) {
+async function cacheCommand(action, options) {
+  const cache = new ResponseCache();
+  const provider = options.provider ? options.provider.toLowerCase() : null;
+  const knownProviders = Object.keys(cache.ttlHours);
+
+  if (provider && !knownProviders.includes(provider)) {
+    throw new Error(`Unknown provider: ${options.provider}. Available providers: ${knownProviders.join(', ')}`);
+  }
+
+  switch (action.toLowerCase()) {
+    case 'stats': {
+      const stats = await cache.stats(provider);
+      const providers = Object.keys(stats);
+
+      console.log(chalk.blue(`Cache directory: ${cache.cacheDir}`));
+      if (providers.length === 0) {
+        console.log(chalk.yellow('Cache is empty.'));
+        return;
+      }
+
+      providers.forEach(name => {
+        const entry = stats[name];
+        console.log(`${name.toUpperCase()}: ${entry.entries} entries (${entry.expired} expired), ${(entry.bytes / 1024).toFixed(1)} KB, TTL ${entry.ttlHours}h`);
+      });
+      break;
+    }
+
+    case 'prune': {
+      const removed = await cache.prune(provider);
+      console.log(chalk.green(`Pruned ${removed} expired cache entries`));
+      break;
+    }
+
+    case 'clear': {
+      const removed = await cache.clear(provider);
+      console.log(chalk.green(`Removed ${removed} cache entries`));
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown cache action: ${action}. Available actions: stats, prune, clear`);
+  }
+}
+
+async function exportMatchReport(report, formats, outputDir, prefix) {
+  if (report.length === 0) {
+    console.log(chalk.green('All queries matched with sufficient confidence.'));
+    return;
+  }
+
+  const counts = report.reduce((acc, entry) => {
+    acc[entry.status] = (acc[entry.status] || 0) + 1;
+    return acc;
+  }, {});
+  console.log(chalk.yellow(`Queries needing review: ${Object.keys(counts).map(status => `${counts[status]} ${status}`).join(', ')}`));
+
+  await exportReport(report, formats, outputDir, `${prefix}_unmatched_and_low_confidence`, 'Review report',
+    (exporter, filename) => exporter.exportMatchReport(report, filename));
+}
+
+async function exportConflictReport(fetcher, formats, outputDir, prefix) {
+  const conflicts = fetcher.conflictDetector.entries;
+  if (conflicts.length === 0) return;
+
+  const movieCount = new Set(conflicts.map(conflict => conflict.imdb_id || conflict.tmdb_id || conflict.title)).size;
+  console.log(chalk.yellow(`Providers disagree on ${conflicts.length} fields across ${movieCount} movies`));
+
+  await exportReport(conflicts, formats, outputDir, `${prefix}_conflicts`, 'Conflicts report',
+    (exporter, filename) => exporter.exportConflicts(conflicts, filename));
+}
+
+async function exportPersonProfile(person, formats, outputDir) {
+  // The profile (with the full filmography) is always written as JSON
+  const jsonExporter = new JSONExporter(outputDir);
+  const profilePath = await jsonExporter.export(person, generateFilename('person_profile', 'json'));
+  console.log(chalk.cyan(`  Person profile: ${profilePath}`));
+
+  if (formats.map(f => f.toLowerCase()).includes('csv')) {
+    const csvExporter = new CSVExporter(outputDir);
+    const filmographyPath = await csvExporter.exportFilmography(person, generateFilename('person_filmography', 'csv'));
+    console.log(chalk.cyan(`  Filmography: ${filmographyPath}`));
+  }
+}
+
+/**
+ * Write a side report as JSON and/or CSV to match the requested formats, CSV otherwise
+ * @param {Array} entries - Report rows
+ * @param {Array} formats - Requested export formats
+ * @param {string} outputDir - Output directory
+ * @param {string} baseName - Filename without timestamp and extension
+ * @param {string} label - Label printed next to the file path
+ * @param {Function} writeCsv - (CSVExporter, filename) => Promise<filePath>
+ */
+async function exportReport(entries, formats, outputDir, baseName, label, writeCsv) {
+  const reportFormats = formats.map(f => f.toLowerCase()).filter(f => f === 'json' || f === 'csv');
+  if (reportFormats.length === 0) {
+    reportFormats.push('csv');
+  }
+
+  for (const format of reportFormats) {
+    let filePath;
+    if (format === 'json') {
+      const exporter = new JSONExporter(outputDir);
+      filePath = await exporter.export(entries, generateFilename(baseName, 'json'));
+    } else {
+      filePath = await writeCsv(new CSVExporter(outputDir), generateFilename(baseName, 'csv'));
+    }
+    console.log(chalk.cyan(`  ${label}: ${filePath}`));
+  }
+}
+
+/**
+ * Languages given with `--locale-columns`
+ * @param {Object} options - Command options
+ * @returns {Array} Language codes as TMDB writes them (pl-PL), empty without the option
+ */
+function parseLocaleColumns(options) {
+  return [].concat(options.localeColumns || []).map(language => parseLanguage(language, '--locale-columns'));
+}
+
+/**
+ * Reviews per movie given with `--include-reviews`
+ * @param {boolean|string} value - Option value; true when given without a number
+ * @returns {number|undefined} Reviews per movie, undefined for the default (or without the option)
+ */
+function parseReviewLimit(value) {
+  if (value === undefined || value === true) return undefined;
+
+  const maxPerMovie = parseInt(value);
+  if (!(maxPerMovie > 0)) {
+    throw new Error(`Invalid --include-reviews value "${value}". Use a positive number of reviews per movie`);
+  }
+  return maxPerMovie;
+}
+
+/**
+ * Apply the export-time options shared by all commands
+ * @param {MovieFetcher} fetcher - Fetcher of the running command
+ * @param {Array} movies - Fetched (and possibly enriched) movies
+ * @param {Object} options - Command options: provenance, releaseCountry, watchRegion, localeColumns, includeReviews, downloadImages
+ * @returns {Promise<Array>} Movies to export
+ */
+async function prepareMovies(fetcher, movies, options = {}) {
+  // Merged records always carry their field origins; they are only exported with --provenance
+  let prepared = movies.map(movie => stripMergeBookkeeping(movie, options));
+
+  // --watch-region: only movies someone can stream there (or rent/buy, with --monetization)
+  if (options.watchRegion) {
+    const offerTypes = parseOfferTypes(options.monetization);
+    prepared = prepared.filter(movie => isStreamingIn(movie, options.watchRegion, offerTypes));
+    if (prepared.length < movies.length) {
+      console.log(chalk.blue(`Left out ${movies.length - prepared.length} movies not offered (${offerTypes.join(', ')}) in ${options.watchRegion.toUpperCase()}`));
+    }
+  }
+
+  // --release-country: dates of the release in that country, where known
+  if (options.releaseCountry) {
+    prepared = prepared.map(movie => applyReleaseCountry(movie, options.releaseCountry));
+  }
+
+  // --type episode: one record per episode instead of per series
+  if (fetcher.titleType === 'episode') {
+    prepared = expandEpisodes(prepared);
+  }
+
+  // --locale-columns: title, description and tagline per language from the TMDB translations
+  const localeColumns = parseLocaleColumns(options);
+  if (localeColumns.length > 0) {
+    prepared = prepared.map(movie => applyLocaleColumns(movie, localeColumns));
+  }
+
+  // --include-reviews [maxPerMovie]
+  if (options.includeReviews && prepared.length > 0) {
+    prepared = await fetcher.attachReviews(prepared, { maxPerMovie: fetcher.config.maxReviewsPerMovie });
+  }
+
+  // --download-images [kinds]
+  if (options.downloadImages && prepared.length > 0) {
+    if (!/^([wh]\d+|original)$/.test(options.imageSize)) {
+      throw new Error(`Invalid --image-size "${options.imageSize}". Use a TMDB size such as w500, w780 or original`);
+    }
+    prepared = await fetcher.downloadImages(prepared, {
+      outputDir: options.outputDir,
+      kinds: parseImageKinds(options.downloadImages),
+      size: options.imageSize,
+      maxImages: parseInt(options.maxImages) || null
+    });
+  }
+
+  return prepared;
+}
+
+async function exportMovies(allMovies, formats, outputDir, prefix, options = {}) {
+  const movies = await prepareMovies(activeFetcher, allMovies, options);
   const spinner = ora('Exporting data...').start();
   
   try {
@@ -508,10 +1254,16 @@ async function exportMovies(movies, formats, outputDir, prefix) {
         case 'json':
           exporter = new JSONExporter(outputDir);
           filename = generateFilename(`${prefix}_movies`, 'json');
-          filePath = await exporter.exportWithMetadata(movies, {
+          // Reviews are exported as their own dataset
+          filePath = await exporter.exportWithMetadata(movies.map(({ reviews, ...movie }) => movie), {
             totalMovies: movies.length,
             exportType: prefix,
-            filters: 'Applied as specified'
+            titleType: activeFetcher ? activeFetcher.titleType : 'movie',
+            language: (activeFetcher && activeFetcher.config.language) || 'en-US',
+            localeColumns: parseLocaleColumns(options),
+            releaseCountry: options.releaseCountry || null,
+            watchRegion: options.watchRegion || null,
+            filters: options.filters || null
           }, filename);
           exportedFiles.push(filePath);
           break;
@@ -526,6 +1278,27 @@ async function exportMovies(movies, formats, outputDir, prefix) {
           const castFilename = generateFilename(`${prefix}_cast`, 'csv');
           const castFilePath = await exporter.exportCast(movies, castFilename);
           exportedFiles.push(castFilePath);
+
+          if (movies.some(movie => Array.isArray(movie.release_dates) && movie.release_dates.length > 0)) {
+            const releaseDatesFilename = generateFilename(`${prefix}_release_dates`, 'csv');
+            exportedFiles.push(await exporter.exportReleaseDates(movies, releaseDatesFilename));
+          }
+
+          if (movies.some(movie => Array.isArray(movie.episodes) && movie.episodes.length > 0)) {
+            const episodesFilename = generateFilename(`${prefix}_episodes`, 'csv');
+            exportedFiles.push(await exporter.exportEpisodes(movies, episodesFilename));
+          }
+
+          if (movies.some(movie => Array.isArray(movie.watch_providers) && movie.watch_providers.length > 0)) {
+            const watchProvidersFilename = generateFilename(`${prefix}_watch_providers`, 'csv');
+            exportedFiles.push(await exporter.exportWatchProviders(movies, watchProvidersFilename));
+          }
+
+          // Field provenance goes to its own file when it was recorded
+          if (movies.some(movie => movie._provenance)) {
+            const provenanceFilename = generateFilename(`${prefix}_provenance`, 'csv');
+            exportedFiles.push(await exporter.exportProvenance(movies, provenanceFilename));
+          }
           break;
 
         case 'excel':
@@ -547,6 +1320,18 @@ async function exportMovies(movies, formats, outputDir, prefix) {
       }
     }
 
+    // Reviews go to the workbook and the SQL file with the movies; JSON and CSV get a separate file
+    const reviews = collectReviews(movies);
+    const reviewFormats = formats.filter(format => ['json', 'csv'].includes(format.toLowerCase()));
+    if (reviews.length > 0 && reviewFormats.length > 0) {
+      for (const format of reviewFormats) {
+        const reviewsFilename = generateFilename(`${prefix}_reviews`, format.toLowerCase());
+        exportedFiles.push(format.toLowerCase() === 'json'
+          ? await new JSONExporter(outputDir).export(reviews, reviewsFilename)
+          : await new CSVExporter(outputDir).exportReviews(reviews, reviewsFilename));
+      }
+    }
+
     spinner.succeed('Export completed successfully!');
     
     console.log(chalk.green('\nExported files:'));
@@ -562,6 +1347,9 @@ async function exportMovies(movies, formats, outputDir, prefix) {
   }
 }
 
+// Summarize retried and failed requests once the command has finished
+process.on('exit', printRequestSummary);
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (reason, promise) => {
   console.error(chalk.red('Unhandled Rejection at:'), promise, chalk.red('reason:'), reason);
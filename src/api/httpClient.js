@@ -0,0 +1,167 @@
+const axios = require('axios');
+const { sleep } = require('../utils/helpers');
+
+const RETRYABLE_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ERR_NETWORK'];
+
+// Never wait longer than this for a single Retry-After, even if the server asks for more
+const MAX_RETRY_AFTER_MS = 120000;
+
+/**
+ * Error raised by the HTTP layer. `retryable` tells callers whether the failure was
+ * transient (rate limit, server or network error) or fatal (bad key, not found).
+ */
+class ApiError extends Error {
+  constructor(message, { provider = null, status = null, retryable = false, attempts = 1 } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Per-provider request counters shared by all clients of one fetcher
+ */
+class RequestStats {
+  constructor() {
+    this.providers = {};
+  }
+
+  getProvider(provider) {
+    if (!this.providers[provider]) {
+      this.providers[provider] = { requests: 0, retried: 0, retries: 0, failed: 0, rejected: 0 };
+    }
+    return this.providers[provider];
+  }
+
+  record(provider, field, amount = 1) {
+    this.getProvider(provider)[field] += amount;
+  }
+
+  getTotals() {
+    return Object.values(this.providers).reduce((totals, stats) => {
+      Object.keys(stats).forEach(key => {
+        totals[key] = (totals[key] || 0) + stats[key];
+      });
+      return totals;
+    }, { requests: 0, retried: 0, retries: 0, failed: 0, rejected: 0 });
+  }
+}
+
+class HttpClient {
+  constructor(provider, options = {}) {
+    const envRetries = parseInt(process.env.MAX_RETRIES);
+
+    this.provider = provider;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : (isNaN(envRetries) ? 3 : envRetries);
+    this.baseDelayMs = options.baseDelayMs || parseInt(process.env.RETRY_BASE_DELAY_MS) || 1000;
+    this.maxDelayMs = options.maxDelayMs || 30000;
+    this.stats = options.stats || null;
+    this.throttle = options.throttle || null;
+  }
+
+  isRetryable(error) {
+    if (error.response) {
+      return RETRYABLE_STATUS_CODES.includes(error.response.status);
+    }
+    if (error.code) {
+      return RETRYABLE_ERROR_CODES.includes(error.code);
+    }
+    // No response and no code: the request went out but nothing came back
+    return Boolean(error.request);
+  }
+
+  /**
+   * Parse a Retry-After header (delta seconds or HTTP date)
+   * @param {Object} error - Axios error
+   * @returns {number|null} Delay in milliseconds, or null if absent
+   */
+  getRetryAfterMs(error) {
+    const header = error.response && error.response.headers && error.response.headers['retry-after'];
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (!isNaN(seconds)) {
+      return Math.min(Math.max(0, seconds * 1000), MAX_RETRY_AFTER_MS);
+    }
+
+    const date = Date.parse(header);
+    if (!isNaN(date)) {
+      return Math.min(Math.max(0, date - Date.now()), MAX_RETRY_AFTER_MS);
+    }
+
+    return null;
+  }
+
+  /**
+   * Delay before the next attempt: Retry-After if given, else exponential backoff with full jitter
+   * @param {Object} error - Axios error
+   * @param {number} attempt - Zero-based attempt that just failed
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfter = this.getRetryAfterMs(error);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+    return Math.round(Math.random() * ceiling);
+  }
+
+  record(field, amount = 1) {
+    if (this.stats) {
+      this.stats.record(this.provider, field, amount);
+    }
+  }
+
+  async get(url, config = {}) {
+    for (let attempt = 0; ; attempt++) {
+      if (this.throttle) {
+        await this.throttle();
+      }
+
+      try {
+        const response = await axios.get(url, config);
+        this.record('requests');
+        if (attempt > 0) {
+          this.record('retried');
+        }
+        return response;
+      } catch (error) {
+        const retryable = this.isRetryable(error);
+
+        if (!retryable || attempt >= this.maxRetries) {
+          this.record('requests');
+          if (attempt > 0) {
+            this.record('retried');
+          }
+          this.record(retryable ? 'failed' : 'rejected');
+
+          throw new ApiError(error.message, {
+            provider: this.provider,
+            status: error.response ? error.response.status : null,
+            retryable,
+            attempts: attempt + 1
+          });
+        }
+
+        this.record('retries');
+        const delay = this.getRetryDelay(error, attempt);
+        if (process.env.NODE_ENV === 'development') {
+          console.warn(`${this.provider.toUpperCase()} request failed (${error.message}), retrying in ${delay}ms`);
+        }
+        await sleep(delay);
+      }
+    }
+  }
+}
+
+module.exports = {
+  HttpClient,
+  ApiError,
+  RequestStats
+};
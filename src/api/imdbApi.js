@@ -1,24 +1,51 @@
-const axios = require('axios');
-const { sleep } = require('../utils/helpers');
+const RateLimiter = require('../utils/rateLimiter');
+const { HttpClient } = require('./httpClient');
+
+// `types` filter of the title list for each --type
+const TITLE_TYPE_FILTERS = {
+  movie: ['MOVIE'],
+  series: ['TV_SERIES', 'TV_MINI_SERIES'],
+  episode: ['TV_EPISODE'],
+  all: ['MOVIE', 'TV_SERIES', 'TV_MINI_SERIES']
+};
+
+// `sortBy` of the title list for each --sort-by key; IMDB cannot sort by revenue
+const SORT_BY = {
+  popularity: 'SORT_BY_POPULARITY',
+  rating: 'SORT_BY_USER_RATING',
+  votes: 'SORT_BY_USER_RATING_COUNT',
+  year: 'SORT_BY_RELEASE_DATE',
+  title: 'SORT_BY_PRIMARY_TITLE'
+};
+
+// IMDB title types normalized to title_type; anything else counts as a movie
+const TITLE_TYPES = {
+  tvSeries: 'series',
+  tvMiniSeries: 'series',
+  tvEpisode: 'episode'
+};
 
 class IMDBApi {
-  constructor(apiKey = null, rateLimitPerSecond = 5) {
+  constructor(apiKey = null, rateLimitPerSecond = 5, options = {}) {
     this.apiKey = apiKey;
     this.baseUrl = 'https://api.imdbapi.dev';
-    this.rateLimitDelay = 1000 / rateLimitPerSecond;
-    this.lastRequestTime = 0;
+    this.rateLimiter = new RateLimiter(rateLimitPerSecond);
+    this.cache = options.cache || null;
+    this.http = new HttpClient('imdb', {
+      stats: options.requestStats,
+      maxRetries: options.maxRetries,
+      throttle: () => this.rateLimiter.acquire()
+    });
   }
 
   async rateLimitedRequest(endpoint, params = {}) {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    
-    if (timeSinceLastRequest < this.rateLimitDelay) {
-      await sleep(this.rateLimitDelay - timeSinceLastRequest);
+    if (this.cache) {
+      const cached = await this.cache.get('imdb', endpoint, params);
+      if (cached !== undefined) {
+        return cached;
+      }
     }
-    
-    this.lastRequestTime = Date.now();
-    
+
     try {
       const config = {
         timeout: 15000,
@@ -33,7 +60,12 @@ class IMDBApi {
         config.headers['Authorization'] = `Bearer ${this.apiKey}`;
       }
 
-      const response = await axios.get(`${this.baseUrl}${endpoint}`, config);
+      const response = await this.http.get(`${this.baseUrl}${endpoint}`, config);
+
+      if (this.cache) {
+        await this.cache.set('imdb', endpoint, params, response.data);
+      }
+
       return response.data;
     } catch (error) {
       // Only log detailed errors in development
@@ -46,13 +78,15 @@ class IMDBApi {
 
   async searchTitles(query, options = {}) {
     try {
+      const { titleType = 'movie', ...rest } = options;
+
       // The IMDB API might not support text search without authentication
       // Try using the list endpoint with minimal filters
       const params = {
-        types: ['MOVIE'],
+        types: TITLE_TYPE_FILTERS[titleType],
         sortBy: 'SORT_BY_POPULARITY',
         sortOrder: 'DESC',
-        ...options
+        ...rest
       };
       
       return await this.rateLimitedRequest('/titles', params);
@@ -102,11 +136,13 @@ class IMDBApi {
 
   async listTitles(filters = {}) {
     try {
+      const { titleType = 'movie', sortBy: sort = null, ...rest } = filters;
+      const sortable = sort && SORT_BY[sort.key];
       const params = {
-        types: ['MOVIE'],
-        sortBy: 'SORT_BY_POPULARITY',
-        sortOrder: 'DESC',
-        ...filters
+        types: TITLE_TYPE_FILTERS[titleType],
+        sortBy: sortable ? SORT_BY[sort.key] : 'SORT_BY_POPULARITY',
+        sortOrder: sortable && sort.direction === 'asc' ? 'ASC' : 'DESC',
+        ...rest
       };
       
       return await this.rateLimitedRequest('/titles', params);
@@ -124,13 +160,28 @@ class IMDBApi {
     }
   }
 
-  async getTitleReleaseDates(titleId) {
+  async getTitleReleaseDates(titleId, maxPages = 5) {
+    const cleanId = titleId.startsWith('tt') ? titleId : `tt${titleId}`;
+    const releaseDates = [];
+    let pageToken = null;
+
     try {
-      const cleanId = titleId.startsWith('tt') ? titleId : `tt${titleId}`;
-      return await this.rateLimitedRequest(`/titles/${cleanId}/releaseDates`);
+      // Popular titles have more release dates than fit on one page
+      for (let page = 0; page < maxPages; page++) {
+        const params = { pageSize: 50 };
+        if (pageToken) params.pageToken = pageToken;
+
+        const response = await this.rateLimitedRequest(`/titles/${cleanId}/releaseDates`, params);
+        releaseDates.push(...(response.releaseDates || []));
+
+        pageToken = response.nextPageToken;
+        if (!pageToken) break;
+      }
     } catch (error) {
-      return { releaseDates: [] };
+      // Keep whatever pages were fetched
     }
+
+    return { releaseDates };
   }
 
   async getTitleRatings(titleId) {
@@ -180,11 +231,13 @@ class IMDBApi {
 
   async advancedTitleSearch(filters = {}) {
     try {
+      const { titleType = 'movie', sortBy: sort = null, ...rest } = filters;
+      const sortable = sort && SORT_BY[sort.key];
       const params = {
-        types: ['MOVIE'],
-        sortBy: 'SORT_BY_POPULARITY',
-        sortOrder: 'DESC',
-        ...filters
+        types: TITLE_TYPE_FILTERS[titleType],
+        sortBy: sortable ? SORT_BY[sort.key] : 'SORT_BY_POPULARITY',
+        sortOrder: sortable && sort.direction === 'asc' ? 'ASC' : 'DESC',
+        ...rest
       };
 
       // Add advanced filtering options based on IMDB API spec
@@ -204,7 +257,69 @@ class IMDBApi {
     }
   }
 
-  normalizeMovieData(imdbData) {
+  normalizePersonData(imdbPerson) {
+    if (!imdbPerson) {
+      return null;
+    }
+
+    // Dates come as { year, month, day }
+    const formatDate = (date) => {
+      if (!date || !date.year) return null;
+      return [date.year, date.month, date.day]
+        .filter(Boolean)
+        .map((part, index) => index === 0 ? String(part) : String(part).padStart(2, '0'))
+        .join('-');
+    };
+
+    return {
+      name: imdbPerson.displayName || imdbPerson.name || imdbPerson.primaryName,
+      also_known_as: imdbPerson.alternativeNames || [],
+      known_for_department: imdbPerson.primaryProfessions ? imdbPerson.primaryProfessions.join(', ') : null,
+      birthday: formatDate(imdbPerson.birthDate),
+      deathday: formatDate(imdbPerson.deathDate),
+      place_of_birth: imdbPerson.birthLocation || null,
+      biography: imdbPerson.biography || null,
+      profile_url: imdbPerson.primaryImage?.url || null,
+      imdb_id: imdbPerson.id,
+      source: 'IMDB',
+      fetched_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Normalize release dates to the shape TMDB ones have. IMDB describes releases with
+   * free-form attributes and has no certifications.
+   * @param {Object} releaseDatesData - Response of getTitleReleaseDates()
+   * @returns {Array} Entries with country, date (YYYY-MM-DD, or shorter when partial), type, certification and note
+   */
+  normalizeReleaseDates(releaseDatesData) {
+    const releaseDates = releaseDatesData && releaseDatesData.releaseDates ? releaseDatesData.releaseDates : [];
+
+    return releaseDates
+      .filter(release => release.country && release.releaseDate && release.releaseDate.year)
+      .map(release => {
+        const { year, month, day } = release.releaseDate;
+        const attributes = (release.attributes || []).map(attribute => attribute.toLowerCase());
+        const has = (...words) => attributes.some(attribute => words.some(word => attribute.includes(word)));
+
+        let type = 'theatrical';
+        if (has('internet', 'streaming', 'video on demand')) type = 'digital';
+        else if (has('dvd', 'blu-ray', 'video premiere')) type = 'physical';
+        else if (has('tv')) type = 'tv';
+        else if (has('premiere', 'festival')) type = 'premiere';
+        else if (has('limited')) type = 'limited';
+
+        return {
+          country: release.country.code,
+          date: [year, month, day].filter(Boolean).map((part, index) => index === 0 ? part : String(part).padStart(2, '0')).join('-'),
+          type,
+          certification: null,
+          note: attributes.length > 0 ? release.attributes.join(', ') : null
+        };
+      });
+  }
+
+  normalizeMovieData(imdbData, releaseDatesData = null) {
     if (!imdbData) {
       return null;
     }
@@ -244,6 +359,7 @@ class IMDBApi {
     return {
       title: imdbData.primaryTitle,
       original_title: imdbData.originalTitle || imdbData.primaryTitle,
+      title_type: TITLE_TYPES[imdbData.type] || 'movie',
       release_year: releaseYear,
       release_month: releaseMonth,
       release_day: releaseDay,
@@ -252,13 +368,14 @@ class IMDBApi {
       cast: cast,
       genre: genres,
       runtime_min: runtime,
-      is_color: true, // Modern movies assumption
+      is_color: null, // Not provided by IMDB; an assumed value would override real data when merging
       gross_worldwide_boxoffice: null, // Not available in basic response
       budget: null, // Not available in basic response
       distribution: null, // Not available in basic response
       studio: null, // Not available in basic response
       based_on: null, // Not available in basic response
       other_titles: [],
+      release_dates: this.normalizeReleaseDates(releaseDatesData),
       imdb_id: imdbData.id,
       imdb_rating: imdbData.rating?.aggregateRating || null,
       imdb_vote_count: imdbData.rating?.voteCount || null,
@@ -267,7 +384,8 @@ class IMDBApi {
       writer: writers,
       awards: null, // Not available in basic response
       poster_url: imdbData.primaryImage?.url || null,
-      source: 'IMDB'
+      source: 'IMDB',
+      fetched_at: new Date().toISOString()
     };
   }
 }
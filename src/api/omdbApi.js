@@ -1,24 +1,28 @@
-const axios = require('axios');
 const { sleep } = require('../utils/helpers');
+const RateLimiter = require('../utils/rateLimiter');
+const { HttpClient, ApiError } = require('./httpClient');
 
 class OMDBApi {
-  constructor(apiKey, rateLimitPerSecond = 10) {
+  constructor(apiKey, rateLimitPerSecond = 10, options = {}) {
     this.apiKey = apiKey;
     this.baseUrl = 'http://www.omdbapi.com/';
-    this.rateLimitDelay = 1000 / rateLimitPerSecond;
-    this.lastRequestTime = 0;
+    this.rateLimiter = new RateLimiter(rateLimitPerSecond);
+    this.cache = options.cache || null;
+    this.http = new HttpClient('omdb', {
+      stats: options.requestStats,
+      maxRetries: options.maxRetries,
+      throttle: () => this.rateLimiter.acquire()
+    });
   }
 
   async rateLimitedRequest(params) {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    
-    if (timeSinceLastRequest < this.rateLimitDelay) {
-      await sleep(this.rateLimitDelay - timeSinceLastRequest);
+    if (this.cache) {
+      const cached = await this.cache.get('omdb', '/', params);
+      if (cached !== undefined) {
+        return cached;
+      }
     }
-    
-    this.lastRequestTime = Date.now();
-    
+
     try {
       // Ensure API key is provided
       if (!this.apiKey) {
@@ -32,7 +36,7 @@ class OMDBApi {
         ...params
       };
 
-      const response = await axios.get(this.baseUrl, {
+      const response = await this.http.get(this.baseUrl, {
         params: requestParams,
         timeout: 15000,
         headers: {
@@ -40,13 +44,17 @@ class OMDBApi {
         }
       });
       
-      // Check for API response errors
+      // Check for API response errors ("Movie not found!", "Invalid API key!", ...) - never worth retrying
       if (response.data.Response === 'False') {
         const errorMsg = response.data.Error || 'Unknown OMDB API Error';
         if (process.env.NODE_ENV === 'development') {
           console.warn(`OMDB API: ${errorMsg}`);
         }
-        throw new Error(errorMsg);
+        throw new ApiError(errorMsg, { provider: 'omdb', retryable: false });
+      }
+
+      if (this.cache) {
+        await this.cache.set('omdb', '/', params, response.data);
       }
       
       return response.data;
@@ -65,9 +73,13 @@ class OMDBApi {
     
     const params = {
       s: title.trim(),
-      type: type,
       page: validPage
     };
+
+    // null searches all types
+    if (type) {
+      params.type = type;
+    }
     
     // Add year filter if provided
     if (year) {
@@ -93,7 +105,7 @@ class OMDBApi {
     });
   }
 
-  async getMovieByTitle(title, year = null) {
+  async getMovieByTitle(title, year = null, type = null) {
     // Validate title
     if (!title || typeof title !== 'string' || title.trim().length === 0) {
       throw new Error('Valid movie title is required');
@@ -108,10 +120,28 @@ class OMDBApi {
     if (year) {
       params.y = parseInt(year);
     }
+
+    // movie, series or episode; without it OMDB returns whichever title matches
+    if (type) {
+      params.type = type;
+    }
     
     return await this.rateLimitedRequest(params);
   }
 
+  async getEpisode(seriesTitle, season, episode) {
+    if (!seriesTitle || typeof seriesTitle !== 'string' || seriesTitle.trim().length === 0) {
+      throw new Error('Valid series title is required');
+    }
+
+    return await this.rateLimitedRequest({
+      t: seriesTitle.trim(),
+      Season: parseInt(season),
+      Episode: parseInt(episode),
+      plot: 'full'
+    });
+  }
+
   async getMovieByTitleAndYear(title, year) {
     return await this.getMovieByTitle(title, year);
   }
@@ -198,12 +228,22 @@ class OMDBApi {
     const imdbRating = parseNumeric(omdbData.imdbRating, true);
     const metascore = parseNumeric(omdbData.Metascore);
 
-    // Determine if movie is in color (modern assumption for movies after 1950)
-    const isColor = omdbData.Type === 'movie' && releaseDate.year && releaseDate.year > 1950 ? true : null;
+    // Series and episodes are told apart by Type; anything else (games, ...) is kept as a movie
+    const titleType = ['series', 'episode'].includes(omdbData.Type) ? omdbData.Type : 'movie';
+    const typeFields = {};
+    if (titleType === 'series') {
+      typeFields.number_of_seasons = parseNumeric(omdbData.totalSeasons);
+    } else if (titleType === 'episode') {
+      typeFields.series_imdb_id = omdbData.seriesID && omdbData.seriesID !== 'N/A' ? omdbData.seriesID : null;
+      typeFields.season_number = parseNumeric(omdbData.Season);
+      typeFields.episode_number = parseNumeric(omdbData.Episode);
+    }
 
     return {
       title: omdbData.Title || null,
       original_title: omdbData.Title || null,
+      title_type: titleType,
+      ...typeFields,
       release_year: releaseDate.year,
       release_month: releaseDate.month,
       release_day: releaseDate.day,
@@ -212,7 +252,7 @@ class OMDBApi {
       cast: cast,
       genre: omdbData.Genre !== 'N/A' ? omdbData.Genre : null,
       runtime_min: runtime,
-      is_color: isColor,
+      is_color: null, // Not provided by OMDB; an assumed value would override real data when merging
       gross_worldwide_boxoffice: boxOffice,
       budget: budget,
       distribution: null, // Not available in OMDB
@@ -231,7 +271,8 @@ class OMDBApi {
       rated: omdbData.Rated !== 'N/A' ? omdbData.Rated : null,
       dvd_release: omdbData.DVD !== 'N/A' ? omdbData.DVD : null,
       website: omdbData.Website !== 'N/A' ? omdbData.Website : null,
-      source: 'OMDB'
+      source: 'OMDB',
+      fetched_at: new Date().toISOString()
     };
   }
 }
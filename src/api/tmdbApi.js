@@ -1,33 +1,90 @@
-const axios = require('axios');
-const { sleep } = require('../utils/helpers');
+const RateLimiter = require('../utils/rateLimiter');
+const { HttpClient } = require('./httpClient');
+const { findTranslation, WATCH_OFFER_TYPES } = require('../utils/helpers');
+
+// TMDB release type numbers
+const RELEASE_TYPES = {
+  1: 'premiere',
+  2: 'limited',
+  3: 'theatrical',
+  4: 'digital',
+  5: 'physical',
+  6: 'tv'
+};
+
+// Cast members kept per title (guest stars per episode)
+const MAX_CAST = 20;
+
+// Discover filters TMDB accepts, per media type. Series have no cast/crew/certification filters
+const DISCOVER_FILTERS = [
+  'vote_average.gte', 'vote_average.lte', 'vote_count.gte', 'vote_count.lte',
+  'with_runtime.gte', 'with_runtime.lte', 'with_original_language',
+  'with_genres', 'without_genres', 'with_keywords', 'without_keywords',
+  'with_companies', 'with_origin_country',
+  'watch_region', 'with_watch_providers', 'with_watch_monetization_types'
+];
+const DISCOVER_PARAMS = {
+  movie: [
+    ...DISCOVER_FILTERS,
+    'region', 'primary_release_date.gte', 'primary_release_date.lte', 'release_date.gte', 'release_date.lte',
+    'with_release_type', 'with_cast', 'with_crew', 'with_people',
+    'certification_country', 'certification', 'certification.gte', 'certification.lte'
+  ],
+  tv: [...DISCOVER_FILTERS, 'first_air_date.gte', 'first_air_date.lte', 'with_networks']
+};
+
+// Language of titles, descriptions and genre names when none is configured
+const DEFAULT_LANGUAGE = 'en-US';
+
+/**
+ * Split a TMDB date (YYYY-MM-DD) without going through Date, which would shift it by the time zone
+ * @param {string} dateString - Date from TMDB, possibly empty
+ * @returns {Object} year, month and day, null when unknown
+ */
+function splitDate(dateString) {
+  const [year, month, day] = (dateString || '').split('-').map(part => parseInt(part));
+  return { year: year || null, month: month || null, day: day || null };
+}
 
 class TMDBApi {
-  constructor(apiKey, rateLimitPerSecond = 40) { // TMDB allows 40 requests per 10 seconds
+  constructor(apiKey, rateLimitPerSecond = 40, options = {}) { // TMDB allows 40 requests per 10 seconds
     this.apiKey = apiKey;
     this.baseUrl = 'https://api.themoviedb.org/3';
-    this.rateLimitDelay = 1000 / rateLimitPerSecond;
-    this.lastRequestTime = 0;
+    this.rateLimiter = new RateLimiter(rateLimitPerSecond);
+    this.cache = options.cache || null;
+    // Text TMDB has no translation for in `language` is taken from `fallbackLanguage`
+    this.language = options.language || DEFAULT_LANGUAGE;
+    this.fallbackLanguage = options.fallbackLanguage || DEFAULT_LANGUAGE;
+    this.http = new HttpClient('tmdb', {
+      stats: options.requestStats,
+      maxRetries: options.maxRetries,
+      throttle: () => this.rateLimiter.acquire()
+    });
   }
 
-  async rateLimitedRequest(endpoint, params = {}) {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    
-    if (timeSinceLastRequest < this.rateLimitDelay) {
-      await sleep(this.rateLimitDelay - timeSinceLastRequest);
+  async rateLimitedRequest(endpoint, requestParams = {}) {
+    // The language is part of the cache key, responses differ per language
+    const params = { language: this.language, ...requestParams };
+
+    if (this.cache) {
+      const cached = await this.cache.get('tmdb', endpoint, params);
+      if (cached !== undefined) {
+        return cached;
+      }
     }
-    
-    this.lastRequestTime = Date.now();
-    
+
     try {
-      const response = await axios.get(`${this.baseUrl}${endpoint}`, {
+      const response = await this.http.get(`${this.baseUrl}${endpoint}`, {
         params: {
           api_key: this.apiKey,
-          language: 'en-US',
           ...params
         },
         timeout: 10000
       });
+
+      if (this.cache) {
+        await this.cache.set('tmdb', endpoint, params, response.data);
+      }
       
       return response.data;
     } catch (error) {
@@ -50,12 +107,36 @@ class TMDBApi {
     return await this.rateLimitedRequest('/search/movie', params);
   }
 
-  async getMovieDetails(movieId) {
+  async getMovieDetails(movieId, options = {}) {
     return await this.rateLimitedRequest(`/movie/${movieId}`, {
-      append_to_response: 'credits,keywords,release_dates,alternative_titles,videos,images,reviews,similar,recommendations,watch/providers,external_ids'
+      append_to_response: 'credits,keywords,release_dates,alternative_titles,videos,images,reviews,similar,recommendations,watch/providers,external_ids,translations',
+      ...this.getImageLanguageParams(),
+      ...this.getLocaleParams(options)
     });
   }
 
+  /**
+   * Image languages to ask for: with only `language`, TMDB leaves out images in other
+   * languages and those without text (most backdrops)
+   * @returns {Object} include_image_language param, e.g. pl,en,null
+   */
+  getImageLanguageParams() {
+    const codes = [this.language, this.fallbackLanguage, 'en'].map(language => language.split('-')[0].toLowerCase());
+    return { include_image_language: [...new Set(codes), 'null'].join(',') };
+  }
+
+  /**
+   * Optional region/language request params
+   * @param {Object} options - region (ISO 3166-1, e.g. PL) and language (e.g. pl-PL)
+   * @returns {Object} Params to add to a request
+   */
+  getLocaleParams(options = {}) {
+    const params = {};
+    if (options.region) params.region = options.region.toUpperCase();
+    if (options.language) params.language = options.language;
+    return params;
+  }
+
   async getMovieCredits(movieId) {
     return await this.rateLimitedRequest(`/movie/${movieId}/credits`);
   }
@@ -69,7 +150,7 @@ class TMDBApi {
   }
 
   async getMovieImages(movieId) {
-    return await this.rateLimitedRequest(`/movie/${movieId}/images`);
+    return await this.rateLimitedRequest(`/movie/${movieId}/images`, this.getImageLanguageParams());
   }
 
   async getMovieReviews(movieId, page = 1) {
@@ -92,24 +173,28 @@ class TMDBApi {
     return await this.rateLimitedRequest(`/movie/${movieId}/external_ids`);
   }
 
+  async findByImdbId(imdbId) {
+    return await this.rateLimitedRequest(`/find/${imdbId}`, { external_source: 'imdb_id' });
+  }
+
   async getTrendingMovies(timeWindow = 'week', page = 1) {
     return await this.rateLimitedRequest(`/trending/movie/${timeWindow}`, { page });
   }
 
-  async getPopularMovies(page = 1) {
-    return await this.rateLimitedRequest('/movie/popular', { page });
+  async getPopularMovies(page = 1, options = {}) {
+    return await this.rateLimitedRequest('/movie/popular', { page, ...this.getLocaleParams(options) });
   }
 
   async getTopRatedMovies(page = 1) {
     return await this.rateLimitedRequest('/movie/top_rated', { page });
   }
 
-  async getUpcomingMovies(page = 1) {
-    return await this.rateLimitedRequest('/movie/upcoming', { page });
+  async getUpcomingMovies(page = 1, options = {}) {
+    return await this.rateLimitedRequest('/movie/upcoming', { page, ...this.getLocaleParams(options) });
   }
 
-  async getNowPlayingMovies(page = 1) {
-    return await this.rateLimitedRequest('/movie/now_playing', { page });
+  async getNowPlayingMovies(page = 1, options = {}) {
+    return await this.rateLimitedRequest('/movie/now_playing', { page, ...this.getLocaleParams(options) });
   }
 
   async getMoviesByCompany(companyId, page = 1) {
@@ -130,6 +215,10 @@ class TMDBApi {
     return await this.rateLimitedRequest('/search/company', { query });
   }
 
+  async getCompanyDetails(companyId) {
+    return await this.rateLimitedRequest(`/company/${companyId}`);
+  }
+
   async searchPeople(query) {
     return await this.rateLimitedRequest('/search/person', { query });
   }
@@ -140,49 +229,239 @@ class TMDBApi {
     });
   }
 
+  /**
+   * Discover movies. Filters use TMDB's parameter names (see DISCOVER_PARAMS); "a,b" must match all, "a|b" any
+   * @param {Object} filters - TMDB discover parameters, page and sort_by (default: popularity.desc)
+   */
   async discoverMovies(filters = {}) {
+    return await this.rateLimitedRequest('/discover/movie', {
+      ...this.getDiscoverParams(filters, DISCOVER_PARAMS.movie),
+      include_video: false
+    });
+  }
+
+  /**
+   * Discover parameters to send: paging, sorting and the filters TMDB supports for the media type
+   * @param {Object} filters - TMDB discover parameters
+   * @param {Array} supported - Parameter names TMDB accepts for the media type
+   * @returns {Object} Request params
+   */
+  getDiscoverParams(filters, supported) {
     const params = {
-      sort_by: 'popularity.desc',
+      sort_by: filters.sort_by || 'popularity.desc',
       include_adult: false,
-      include_video: false,
       page: filters.page || 1
     };
 
-    // Add date filters
-    if (filters.release_date_gte) {
-      params['release_date.gte'] = filters.release_date_gte;
-    }
-    if (filters.release_date_lte) {
-      params['release_date.lte'] = filters.release_date_lte;
-    }
+    supported.forEach(key => {
+      const value = filters[key];
+      if (value !== null && value !== undefined && value !== '') {
+        params[key] = value;
+      }
+    });
 
-    // Add genre filter
-    if (filters.with_genres) {
-      params.with_genres = filters.with_genres;
-    }
+    return params;
+  }
 
-    // Add country filter
-    if (filters.with_origin_country) {
-      params.with_origin_country = filters.with_origin_country;
+  async searchTv(query, year = null, page = 1) {
+    const params = {
+      query: query,
+      page: page,
+      include_adult: false
+    };
+
+    if (year) {
+      params.first_air_date_year = year;
     }
 
-    return await this.rateLimitedRequest('/discover/movie', params);
+    return await this.rateLimitedRequest('/search/tv', params);
+  }
+
+  async getTvDetails(tvId, options = {}) {
+    return await this.rateLimitedRequest(`/tv/${tvId}`, {
+      append_to_response: 'credits,keywords,content_ratings,alternative_titles,videos,images,watch/providers,external_ids,translations',
+      ...this.getImageLanguageParams(),
+      ...this.getLocaleParams(options)
+    });
+  }
+
+  async getTvSeason(tvId, seasonNumber) {
+    return await this.rateLimitedRequest(`/tv/${tvId}/season/${seasonNumber}`);
+  }
+
+  async getTvEpisode(tvId, seasonNumber, episodeNumber) {
+    return await this.rateLimitedRequest(`/tv/${tvId}/season/${seasonNumber}/episode/${episodeNumber}`, {
+      append_to_response: 'external_ids'
+    });
+  }
+
+  async getTvImages(tvId) {
+    return await this.rateLimitedRequest(`/tv/${tvId}/images`, this.getImageLanguageParams());
+  }
+
+  async getTvReviews(tvId, page = 1) {
+    return await this.rateLimitedRequest(`/tv/${tvId}/reviews`, { page });
+  }
+
+  /**
+   * Discover TV series; filters as for discoverMovies(), with first_air_date instead of release dates
+   * @param {Object} filters - TMDB discover parameters, page and sort_by
+   */
+  async discoverTv(filters = {}) {
+    return await this.rateLimitedRequest('/discover/tv', this.getDiscoverParams(filters, DISCOVER_PARAMS.tv));
+  }
+
+  async searchKeywords(query) {
+    return await this.rateLimitedRequest('/search/keyword', { query });
+  }
+
+  /**
+   * Streaming services, rental stores, ... TMDB has offers from in a country
+   * @param {string} mediaType - movie or tv
+   * @param {string} region - ISO 3166-1 country code
+   */
+  async getWatchProviderList(mediaType = 'movie', region = null) {
+    return await this.rateLimitedRequest(`/watch/providers/${mediaType}`, region ? { watch_region: region.toUpperCase() } : {});
   }
 
-  async getGenres() {
-    return await this.rateLimitedRequest('/genre/movie/list');
+  /**
+   * Genre list of movies or TV series (they use different IDs), named in the configured language
+   * @param {string} mediaType - movie or tv
+   * @param {Object} options - language to name the genres in instead
+   */
+  async getGenres(mediaType = 'movie', options = {}) {
+    return await this.rateLimitedRequest(`/genre/${mediaType}/list`, this.getLocaleParams(options));
   }
 
   async getCountries() {
     return await this.rateLimitedRequest('/configuration/countries');
   }
 
+  /**
+   * Flatten `release_dates` (grouped by country) into one entry per release
+   * @param {Object} tmdbData - Movie details with release_dates appended
+   * @returns {Array} Entries with country, date (YYYY-MM-DD), type, certification and note
+   */
+  normalizeReleaseDates(tmdbData) {
+    const countries = tmdbData.release_dates && tmdbData.release_dates.results ? tmdbData.release_dates.results : [];
+
+    return countries.flatMap(entry => (entry.release_dates || [])
+      .filter(release => release.release_date)
+      .map(release => ({
+        country: entry.iso_3166_1,
+        date: release.release_date.slice(0, 10),
+        type: RELEASE_TYPES[release.type] || 'theatrical',
+        certification: release.certification || null,
+        note: release.note || null
+      })));
+  }
+
+  /**
+   * Flatten `watch/providers` (grouped by country and offer type) into one entry per offer
+   * @param {Object} tmdbData - Movie details with watch/providers appended
+   * @returns {Array} Entries with country, provider_id, provider, type (flatrate, free, ads, rent, buy) and link
+   */
+  normalizeWatchProviders(tmdbData) {
+    const countries = tmdbData['watch/providers'] && tmdbData['watch/providers'].results ? tmdbData['watch/providers'].results : {};
+
+    return Object.keys(countries).flatMap(country => WATCH_OFFER_TYPES.flatMap(type =>
+      (countries[country][type] || []).map(provider => ({
+        country,
+        provider_id: provider.provider_id,
+        provider: provider.provider_name,
+        type,
+        display_priority: provider.display_priority,
+        link: countries[country].link || null
+      }))
+    ));
+  }
+
+  /**
+   * Flatten appended `translations` into one entry per language
+   * @param {Object} tmdbData - Movie or series details with translations appended
+   * @returns {Array} Entries with language (e.g. pl-PL), title, overview and tagline
+   */
+  normalizeTranslations(tmdbData) {
+    const translations = tmdbData.translations && tmdbData.translations.translations ? tmdbData.translations.translations : [];
+
+    return translations.map(translation => {
+      const data = translation.data || {};
+      return {
+        language: translation.iso_3166_1 ? `${translation.iso_639_1}-${translation.iso_3166_1}` : translation.iso_639_1,
+        title: data.title || data.name || null,
+        overview: data.overview || null,
+        tagline: data.tagline || null
+      };
+    });
+  }
+
+  /**
+   * Text in the requested language, or from the fallback language's translation when TMDB has none
+   * @param {string} value - Value TMDB returned for the configured language
+   * @param {Array} translations - Entries from normalizeTranslations()
+   * @param {string} field - title, overview or tagline
+   * @returns {string|null} Localized text
+   */
+  localizedText(value, translations, field) {
+    if (value) {
+      return value;
+    }
+
+    const fallback = findTranslation(translations, this.fallbackLanguage);
+    return fallback && fallback[field] ? fallback[field] : null;
+  }
+
+  normalizeReview(tmdbReview) {
+    const authorDetails = tmdbReview.author_details || {};
+
+    return {
+      review_id: tmdbReview.id,
+      author: tmdbReview.author || authorDetails.name || authorDetails.username || null,
+      username: authorDetails.username || null,
+      rating: authorDetails.rating !== undefined ? authorDetails.rating : null,
+      created_at: tmdbReview.created_at || null,
+      updated_at: tmdbReview.updated_at || null,
+      content: tmdbReview.content || '',
+      url: tmdbReview.url || null
+    };
+  }
+
+  normalizePersonData(tmdbPerson) {
+    if (!tmdbPerson) {
+      return null;
+    }
+
+    const externalIds = tmdbPerson.external_ids || {};
+    const genders = { 1: 'female', 2: 'male', 3: 'non-binary' };
+
+    return {
+      name: tmdbPerson.name,
+      also_known_as: tmdbPerson.also_known_as || [],
+      known_for_department: tmdbPerson.known_for_department || null,
+      birthday: tmdbPerson.birthday || null,
+      deathday: tmdbPerson.deathday || null,
+      place_of_birth: tmdbPerson.place_of_birth || null,
+      gender: genders[tmdbPerson.gender] || null,
+      biography: tmdbPerson.biography || null,
+      popularity: tmdbPerson.popularity,
+      profile_url: tmdbPerson.profile_path ? `https://image.tmdb.org/t/p/w500${tmdbPerson.profile_path}` : null,
+      homepage: tmdbPerson.homepage || null,
+      tmdb_id: tmdbPerson.id,
+      imdb_id: tmdbPerson.imdb_id || externalIds.imdb_id || null,
+      wikidata_id: externalIds.wikidata_id || null,
+      instagram_id: externalIds.instagram_id || null,
+      twitter_id: externalIds.twitter_id || null,
+      source: 'TMDB',
+      fetched_at: new Date().toISOString()
+    };
+  }
+
   normalizeMovieData(tmdbData) {
     if (!tmdbData) {
       return null;
     }
 
-    const releaseDate = new Date(tmdbData.release_date);
+    const releaseDate = splitDate(tmdbData.release_date);
     
     // Parse cast from credits (get more cast members)
     const cast = tmdbData.credits && tmdbData.credits.cast ? 
@@ -248,26 +527,33 @@ class TMDBApi {
     // Parse watch providers
     const watchProviders = tmdbData['watch/providers'] && tmdbData['watch/providers'].results ? 
       Object.keys(tmdbData['watch/providers'].results).length : 0;
+    const watchProviderOffers = this.normalizeWatchProviders(tmdbData);
+
+    // Title, overview and tagline in every language TMDB has them in
+    const translations = this.normalizeTranslations(tmdbData);
 
     return {
-      title: tmdbData.title,
+      title: this.localizedText(tmdbData.title, translations, 'title'),
       original_title: tmdbData.original_title,
-      release_year: releaseDate.getFullYear() || null,
-      release_month: releaseDate.getMonth() + 1 || null,
-      release_day: releaseDate.getDate() || null,
+      title_type: 'movie',
+      release_year: releaseDate.year,
+      release_month: releaseDate.month,
+      release_day: releaseDate.day,
       country: countries,
-      description: tmdbData.overview,
-      tagline: tmdbData.tagline,
+      description: this.localizedText(tmdbData.overview, translations, 'overview'),
+      tagline: this.localizedText(tmdbData.tagline, translations, 'tagline'),
       cast: cast,
       genre: genres,
       runtime_min: tmdbData.runtime,
-      is_color: true, // Assumption for modern movies
+      is_color: null, // Not provided by TMDB; an assumed value would override real data when merging
       gross_worldwide_boxoffice: tmdbData.revenue > 0 ? tmdbData.revenue : null,
       budget: tmdbData.budget > 0 ? tmdbData.budget : null,
       distribution: null, // Not directly available
       studio: studios,
       based_on: null, // Not directly available
       other_titles: otherTitles,
+      translations: translations,
+      release_dates: this.normalizeReleaseDates(tmdbData),
       tmdb_id: tmdbData.id,
       imdb_id: tmdbData.imdb_id || externalIds.imdb_id,
       tmdb_rating: tmdbData.vote_average,
@@ -285,6 +571,7 @@ class TMDBApi {
       images_count: images,
       spoken_languages: spokenLanguages,
       watch_providers_count: watchProviders,
+      watch_providers: watchProviderOffers,
       
       // Crew details
       director: directors,
@@ -297,7 +584,180 @@ class TMDBApi {
       twitter_id: externalIds.twitter_id,
       wikidata_id: externalIds.wikidata_id,
       
-      source: 'TMDB'
+      source: 'TMDB',
+      fetched_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Normalize a TV series to the movie record shape, with series fields and its episodes
+   * @param {Object} tmdbData - Series details from getTvDetails()
+   * @param {Array} seasons - Season details from getTvSeason(), if the episodes were fetched
+   * @returns {Object|null} Record with title_type "series"
+   */
+  normalizeSeriesData(tmdbData, seasons = []) {
+    if (!tmdbData) {
+      return null;
+    }
+
+    const firstAired = splitDate(tmdbData.first_air_date);
+    const externalIds = tmdbData.external_ids || {};
+    const names = (list, separator = ', ') => list && list.length > 0 ? list.map(item => item.name).join(separator) : null;
+
+    const cast = tmdbData.credits && tmdbData.credits.cast ?
+      tmdbData.credits.cast.slice(0, MAX_CAST).map((actor, index) => ({
+        name: actor.name,
+        role: actor.character,
+        order: actor.order || index,
+        profile_path: actor.profile_path ? `https://image.tmdb.org/t/p/w185${actor.profile_path}` : null
+      })) : [];
+
+    // Series list alternative titles and keywords under `results`, movies under `titles`/`keywords`
+    const otherTitles = tmdbData.alternative_titles && tmdbData.alternative_titles.results ?
+      tmdbData.alternative_titles.results.map(alt => ({ title: alt.title, country: alt.iso_3166_1 })) : [];
+    const keywords = tmdbData.keywords && tmdbData.keywords.results ? names(tmdbData.keywords.results) : null;
+
+    const videos = tmdbData.videos && tmdbData.videos.results ?
+      tmdbData.videos.results.filter(v => v.site === 'YouTube').map(video => ({
+        key: video.key,
+        name: video.name,
+        type: video.type,
+        url: `https://www.youtube.com/watch?v=${video.key}`
+      })) : [];
+
+    // Content ratings are per country; US is the one OMDB reports as `rated`
+    const contentRatings = tmdbData.content_ratings && tmdbData.content_ratings.results ? tmdbData.content_ratings.results : [];
+    const usRating = contentRatings.find(rating => rating.iso_3166_1 === 'US');
+
+    const episodeRunTime = (tmdbData.episode_run_time || [])[0] ||
+      (tmdbData.last_episode_to_air && tmdbData.last_episode_to_air.runtime) || null;
+    const translations = this.normalizeTranslations(tmdbData);
+    const title = this.localizedText(tmdbData.name, translations, 'title');
+    const series = { tmdb_id: tmdbData.id, imdb_id: externalIds.imdb_id || null, title };
+
+    return {
+      title: title,
+      original_title: tmdbData.original_name,
+      title_type: 'series',
+      release_year: firstAired.year,
+      release_month: firstAired.month,
+      release_day: firstAired.day,
+      country: names(tmdbData.production_countries) || (tmdbData.origin_country || []).join(', ') || null,
+      description: this.localizedText(tmdbData.overview, translations, 'overview'),
+      tagline: this.localizedText(tmdbData.tagline, translations, 'tagline'),
+      cast: cast,
+      genre: names(tmdbData.genres, '/'),
+      runtime_min: episodeRunTime,
+      is_color: null,
+      gross_worldwide_boxoffice: null,
+      budget: null,
+      distribution: null,
+      studio: names(tmdbData.production_companies, ' / '),
+      based_on: null,
+      other_titles: otherTitles,
+      translations: translations,
+      release_dates: [],
+      tmdb_id: tmdbData.id,
+      imdb_id: series.imdb_id,
+      tmdb_rating: tmdbData.vote_average,
+      tmdb_vote_count: tmdbData.vote_count,
+      popularity: tmdbData.popularity,
+      poster_url: tmdbData.poster_path ? `https://image.tmdb.org/t/p/w500${tmdbData.poster_path}` : null,
+      backdrop_url: tmdbData.backdrop_path ? `https://image.tmdb.org/t/p/w1280${tmdbData.backdrop_path}` : null,
+      rated: usRating ? usRating.rating : null,
+
+      // Series fields
+      number_of_seasons: tmdbData.number_of_seasons || null,
+      episode_count: tmdbData.number_of_episodes || null,
+      first_air_date: tmdbData.first_air_date || null,
+      last_air_date: tmdbData.last_air_date || null,
+      networks: names(tmdbData.networks, ' / '),
+      in_production: tmdbData.in_production,
+      seasons: (tmdbData.seasons || []).map(season => ({
+        season_number: season.season_number,
+        name: season.name,
+        air_date: season.air_date || null,
+        episode_count: season.episode_count
+      })),
+      episodes: seasons.flatMap(season => (season.episodes || []).map(episode => this.normalizeEpisodeData(episode, series))),
+
+      // Additional TMDB-specific fields
+      homepage: tmdbData.homepage,
+      status: tmdbData.status,
+      keywords: keywords,
+      videos: videos,
+      images_count: tmdbData.images ? {
+        backdrops: (tmdbData.images.backdrops || []).length,
+        posters: (tmdbData.images.posters || []).length,
+        logos: (tmdbData.images.logos || []).length
+      } : null,
+      spoken_languages: tmdbData.spoken_languages ?
+        tmdbData.spoken_languages.map(lang => lang.english_name || lang.name).join(', ') : null,
+      watch_providers_count: tmdbData['watch/providers'] && tmdbData['watch/providers'].results ?
+        Object.keys(tmdbData['watch/providers'].results).length : 0,
+      watch_providers: this.normalizeWatchProviders(tmdbData),
+
+      // Series have creators rather than a director
+      director: null,
+      creator: names(tmdbData.created_by),
+
+      facebook_id: externalIds.facebook_id,
+      instagram_id: externalIds.instagram_id,
+      twitter_id: externalIds.twitter_id,
+      wikidata_id: externalIds.wikidata_id,
+
+      source: 'TMDB',
+      fetched_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Normalize one episode to the movie record shape
+   * @param {Object} tmdbEpisode - Episode from a season's `episodes` or from getTvEpisode()
+   * @param {Object} series - Series it belongs to: tmdb_id, imdb_id, title
+   * @returns {Object|null} Record with title_type "episode"
+   */
+  normalizeEpisodeData(tmdbEpisode, series = {}) {
+    if (!tmdbEpisode) {
+      return null;
+    }
+
+    const aired = splitDate(tmdbEpisode.air_date);
+    const crew = tmdbEpisode.crew || [];
+    const crewNames = jobs => crew.filter(person => jobs.includes(person.job)).map(person => person.name).join(', ') || null;
+    const externalIds = tmdbEpisode.external_ids || {};
+
+    return {
+      title: tmdbEpisode.name,
+      original_title: tmdbEpisode.name,
+      title_type: 'episode',
+      series_title: series.title || null,
+      series_tmdb_id: series.tmdb_id || tmdbEpisode.show_id || null,
+      series_imdb_id: series.imdb_id || null,
+      season_number: tmdbEpisode.season_number,
+      episode_number: tmdbEpisode.episode_number,
+      air_date: tmdbEpisode.air_date || null,
+      release_year: aired.year,
+      release_month: aired.month,
+      release_day: aired.day,
+      description: tmdbEpisode.overview || null,
+      cast: (tmdbEpisode.guest_stars || []).slice(0, MAX_CAST).map((actor, index) => ({
+        name: actor.name,
+        role: actor.character,
+        order: actor.order || index
+      })),
+      runtime_min: tmdbEpisode.runtime || null,
+      other_titles: [],
+      release_dates: [],
+      tmdb_id: tmdbEpisode.id,
+      imdb_id: externalIds.imdb_id || null,
+      tmdb_rating: tmdbEpisode.vote_average,
+      tmdb_vote_count: tmdbEpisode.vote_count,
+      still_url: tmdbEpisode.still_path ? `https://image.tmdb.org/t/p/w500${tmdbEpisode.still_path}` : null,
+      director: crewNames(['Director']),
+      writer: crewNames(['Writer', 'Screenplay', 'Story', 'Teleplay']),
+      source: 'TMDB',
+      fetched_at: new Date().toISOString()
     };
   }
 }
@@ -1,6 +1,7 @@
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const fs = require('fs').promises;
 const path = require('path');
+const { getLocalizedLanguages, getLocaleColumns } = require('../utils/helpers');
 
 class CSVExporter {
   constructor(outputDir = './output') {
@@ -15,10 +16,17 @@ class CSVExporter {
     }
   }
 
-  getMovieHeaders() {
+  /**
+   * Movie columns, followed by the localized text columns of `--locale-columns`
+   * @param {Array} languages - Languages of the localized texts
+   */
+  getMovieHeaders(languages = []) {
+    const localeHeaders = getLocaleColumns(languages).map(column => ({ id: column.id, title: column.title }));
+
     return [
       { id: 'title', title: 'Title' },
       { id: 'original_title', title: 'Original Title' },
+      { id: 'title_type', title: 'Title Type' },
       { id: 'release_year', title: 'Release Year' },
       { id: 'release_month', title: 'Release Month' },
       { id: 'release_day', title: 'Release Day' },
@@ -43,7 +51,24 @@ class CSVExporter {
       { id: 'writer', title: 'Writer' },
       { id: 'awards', title: 'Awards' },
       { id: 'poster_url', title: 'Poster URL' },
-      { id: 'sources', title: 'Data Sources' }
+      { id: 'poster_local_path', title: 'Poster File' },
+      { id: 'backdrop_local_path', title: 'Backdrop File' },
+      { id: 'release_region', title: 'Release Region' },
+      { id: 'regional_release_date', title: 'Regional Release Date' },
+      { id: 'certification', title: 'Certification' },
+      { id: 'series_title', title: 'Series Title' },
+      { id: 'season_number', title: 'Season' },
+      { id: 'episode_number', title: 'Episode' },
+      { id: 'number_of_seasons', title: 'Number of Seasons' },
+      { id: 'episode_count', title: 'Episode Count' },
+      { id: 'first_air_date', title: 'First Air Date' },
+      { id: 'last_air_date', title: 'Last Air Date' },
+      { id: 'networks', title: 'Networks' },
+      { id: 'creator', title: 'Creator' },
+      { id: 'sources', title: 'Data Sources' },
+      { id: 'match_confidence', title: 'Match Confidence' },
+      { id: 'match_reason', title: 'Match Reason' },
+      ...localeHeaders
     ];
   }
 
@@ -78,9 +103,17 @@ class CSVExporter {
         flattened.sources = '';
       }
 
+      // Localized texts (--locale-columns) become one column per language and field
+      Object.keys(movie.localized || {}).forEach(language => {
+        Object.keys(movie.localized[language]).forEach(field => {
+          flattened[`${field}_${language}`] = movie.localized[language][field];
+        });
+      });
+
       // Remove original complex objects
       delete flattened.cast;
       delete flattened.source;
+      delete flattened.localized;
 
       // Convert boolean to string for CSV
       if (flattened.is_color !== null && flattened.is_color !== undefined) {
@@ -97,9 +130,10 @@ class CSVExporter {
     const filePath = path.join(this.outputDir, filename);
     const flattenedData = this.flattenMovieData(movies);
     
+    
     const csvWriter = createCsvWriter({
       path: filePath,
-      header: this.getMovieHeaders(),
+      header: this.getMovieHeaders(getLocalizedLanguages(movies)),
       encoding: 'utf8'
     });
 
@@ -142,6 +176,343 @@ class CSVExporter {
     
     return filePath;
   }
+
+  getReleaseDateHeaders() {
+    return [
+      { id: 'movie_title', title: 'Movie Title' },
+      { id: 'imdb_id', title: 'IMDB ID' },
+      { id: 'tmdb_id', title: 'TMDB ID' },
+      { id: 'country', title: 'Country' },
+      { id: 'release_date', title: 'Release Date' },
+      { id: 'release_type', title: 'Release Type' },
+      { id: 'certification', title: 'Certification' },
+      { id: 'note', title: 'Note' }
+    ];
+  }
+
+  getReleaseDateRows(movies) {
+    const releaseData = [];
+
+    movies.forEach(movie => {
+      if (Array.isArray(movie.release_dates)) {
+        movie.release_dates.forEach(release => {
+          releaseData.push({
+            movie_title: movie.title,
+            imdb_id: movie.imdb_id,
+            tmdb_id: movie.tmdb_id,
+            country: release.country,
+            release_date: release.date,
+            release_type: release.type,
+            certification: release.certification || '',
+            note: release.note || ''
+          });
+        });
+      }
+    });
+
+    return releaseData;
+  }
+
+  async exportReleaseDates(movies, filename = 'release_dates.csv') {
+    await this.ensureOutputDir();
+    
+    const filePath = path.join(this.outputDir, filename);
+
+    const csvWriter = createCsvWriter({
+      path: filePath,
+      header: this.getReleaseDateHeaders(),
+      encoding: 'utf8'
+    });
+
+    await csvWriter.writeRecords(this.getReleaseDateRows(movies));
+    
+    return filePath;
+  }
+
+  getEpisodeHeaders() {
+    return [
+      { id: 'series_title', title: 'Series Title' },
+      { id: 'series_imdb_id', title: 'Series IMDB ID' },
+      { id: 'series_tmdb_id', title: 'Series TMDB ID' },
+      { id: 'season_number', title: 'Season' },
+      { id: 'episode_number', title: 'Episode' },
+      { id: 'episode_title', title: 'Episode Title' },
+      { id: 'air_date', title: 'Air Date' },
+      { id: 'runtime_min', title: 'Runtime (minutes)' },
+      { id: 'tmdb_rating', title: 'TMDB Rating' },
+      { id: 'tmdb_vote_count', title: 'TMDB Votes' },
+      { id: 'director', title: 'Director' },
+      { id: 'writer', title: 'Writer' },
+      { id: 'imdb_id', title: 'IMDB ID' },
+      { id: 'tmdb_id', title: 'TMDB ID' },
+      { id: 'description', title: 'Description' }
+    ];
+  }
+
+  getEpisodeRows(movies) {
+    const episodeData = [];
+
+    movies.forEach(movie => {
+      if (Array.isArray(movie.episodes)) {
+        movie.episodes.forEach(episode => {
+          episodeData.push({
+            series_title: movie.title,
+            series_imdb_id: movie.imdb_id,
+            series_tmdb_id: movie.tmdb_id,
+            season_number: episode.season_number,
+            episode_number: episode.episode_number,
+            episode_title: episode.title,
+            air_date: episode.air_date || '',
+            runtime_min: episode.runtime_min,
+            tmdb_rating: episode.tmdb_rating,
+            tmdb_vote_count: episode.tmdb_vote_count,
+            director: episode.director || '',
+            writer: episode.writer || '',
+            imdb_id: episode.imdb_id || '',
+            tmdb_id: episode.tmdb_id,
+            description: episode.description || ''
+          });
+        });
+      }
+    });
+
+    return episodeData;
+  }
+
+  async exportEpisodes(movies, filename = 'episodes.csv') {
+    await this.ensureOutputDir();
+    
+    const filePath = path.join(this.outputDir, filename);
+
+    const csvWriter = createCsvWriter({
+      path: filePath,
+      header: this.getEpisodeHeaders(),
+      encoding: 'utf8'
+    });
+
+    await csvWriter.writeRecords(this.getEpisodeRows(movies));
+    
+    return filePath;
+  }
+
+  getWatchProviderHeaders() {
+    return [
+      { id: 'movie_title', title: 'Movie Title' },
+      { id: 'imdb_id', title: 'IMDB ID' },
+      { id: 'tmdb_id', title: 'TMDB ID' },
+      { id: 'country', title: 'Country' },
+      { id: 'provider', title: 'Provider' },
+      { id: 'offer_type', title: 'Offer Type' },
+      { id: 'link', title: 'Link' }
+    ];
+  }
+
+  getWatchProviderRows(movies) {
+    const offerData = [];
+
+    movies.forEach(movie => {
+      if (Array.isArray(movie.watch_providers)) {
+        movie.watch_providers.forEach(offer => {
+          offerData.push({
+            movie_title: movie.title,
+            imdb_id: movie.imdb_id,
+            tmdb_id: movie.tmdb_id,
+            country: offer.country,
+            provider: offer.provider,
+            offer_type: offer.type,
+            link: offer.link || ''
+          });
+        });
+      }
+    });
+
+    return offerData;
+  }
+
+  async exportWatchProviders(movies, filename = 'watch_providers.csv') {
+    await this.ensureOutputDir();
+    
+    const filePath = path.join(this.outputDir, filename);
+
+    const csvWriter = createCsvWriter({
+      path: filePath,
+      header: this.getWatchProviderHeaders(),
+      encoding: 'utf8'
+    });
+
+    await csvWriter.writeRecords(this.getWatchProviderRows(movies));
+    
+    return filePath;
+  }
+
+  getReviewHeaders() {
+    return [
+      { id: 'tmdb_id', title: 'TMDB ID' },
+      { id: 'imdb_id', title: 'IMDB ID' },
+      { id: 'movie_title', title: 'Movie Title' },
+      { id: 'review_id', title: 'Review ID' },
+      { id: 'author', title: 'Author' },
+      { id: 'rating', title: 'Rating' },
+      { id: 'created_at', title: 'Created At' },
+      { id: 'content', title: 'Content' },
+      { id: 'url', title: 'URL' }
+    ];
+  }
+
+  async exportReviews(reviews, filename = 'reviews.csv') {
+    await this.ensureOutputDir();
+    
+    const filePath = path.join(this.outputDir, filename);
+
+    const csvWriter = createCsvWriter({
+      path: filePath,
+      header: this.getReviewHeaders(),
+      encoding: 'utf8'
+    });
+
+    await csvWriter.writeRecords(reviews);
+    
+    return filePath;
+  }
+
+  async exportProvenance(movies, filename = 'provenance.csv') {
+    await this.ensureOutputDir();
+    
+    const filePath = path.join(this.outputDir, filename);
+    
+    // One row per movie field with the provider it came from
+    const provenanceData = [];
+    movies.forEach(movie => {
+      if (movie._provenance) {
+        Object.keys(movie._provenance).forEach(field => {
+          provenanceData.push({
+            movie_title: movie.title,
+            imdb_id: movie.imdb_id,
+            tmdb_id: movie.tmdb_id,
+            field,
+            source: movie._provenance[field].source,
+            fetched_at: movie._provenance[field].fetched_at
+          });
+        });
+      }
+    });
+
+    const csvWriter = createCsvWriter({
+      path: filePath,
+      header: [
+        { id: 'movie_title', title: 'Movie Title' },
+        { id: 'imdb_id', title: 'IMDB ID' },
+        { id: 'tmdb_id', title: 'TMDB ID' },
+        { id: 'field', title: 'Field' },
+        { id: 'source', title: 'Source' },
+        { id: 'fetched_at', title: 'Fetched At' }
+      ],
+      encoding: 'utf8'
+    });
+
+    await csvWriter.writeRecords(provenanceData);
+    
+    return filePath;
+  }
+
+  async exportFilmography(person, filename = 'filmography.csv') {
+    await this.ensureOutputDir();
+    
+    const filePath = path.join(this.outputDir, filename);
+    
+    // One row per credit, grouped by department
+    const creditData = [];
+    Object.keys(person.filmography || {}).forEach(department => {
+      person.filmography[department].forEach(credit => {
+        creditData.push({
+          person_name: person.name,
+          department,
+          title: credit.title,
+          release_date: credit.release_date,
+          job: credit.job || '',
+          character: credit.character || '',
+          tmdb_id: credit.tmdb_id,
+          imdb_id: credit.imdb_id
+        });
+      });
+    });
+
+    const csvWriter = createCsvWriter({
+      path: filePath,
+      header: [
+        { id: 'person_name', title: 'Person' },
+        { id: 'department', title: 'Department' },
+        { id: 'title', title: 'Title' },
+        { id: 'release_date', title: 'Release Date' },
+        { id: 'job', title: 'Job' },
+        { id: 'character', title: 'Character' },
+        { id: 'tmdb_id', title: 'TMDB ID' },
+        { id: 'imdb_id', title: 'IMDB ID' }
+      ],
+      encoding: 'utf8'
+    });
+
+    await csvWriter.writeRecords(creditData);
+    
+    return filePath;
+  }
+
+  async exportConflicts(conflicts, filename = 'conflicts.csv') {
+    await this.ensureOutputDir();
+    
+    const filePath = path.join(this.outputDir, filename);
+
+    const csvWriter = createCsvWriter({
+      path: filePath,
+      header: [
+        { id: 'title', title: 'Title' },
+        { id: 'release_year', title: 'Release Year' },
+        { id: 'imdb_id', title: 'IMDB ID' },
+        { id: 'tmdb_id', title: 'TMDB ID' },
+        { id: 'field', title: 'Field' },
+        { id: 'values', title: 'Values by Source' },
+        { id: 'difference', title: 'Difference' },
+        { id: 'tolerance', title: 'Tolerance' }
+      ],
+      encoding: 'utf8'
+    });
+
+    // Flatten { OMDB: 136, TMDB: 142 } to "OMDB: 136; TMDB: 142"
+    const records = conflicts.map(conflict => ({
+      ...conflict,
+      values: Object.keys(conflict.values).map(source => `${source}: ${conflict.values[source]}`).join('; ')
+    }));
+
+    await csvWriter.writeRecords(records);
+    
+    return filePath;
+  }
+
+  async exportMatchReport(entries, filename = 'unmatched_and_low_confidence.csv') {
+    await this.ensureOutputDir();
+    
+    const filePath = path.join(this.outputDir, filename);
+
+    const csvWriter = createCsvWriter({
+      path: filePath,
+      header: [
+        { id: 'query', title: 'Query' },
+        { id: 'query_year', title: 'Query Year' },
+        { id: 'status', title: 'Status' },
+        { id: 'matched_title', title: 'Matched Title' },
+        { id: 'matched_year', title: 'Matched Year' },
+        { id: 'imdb_id', title: 'IMDB ID' },
+        { id: 'tmdb_id', title: 'TMDB ID' },
+        { id: 'match_confidence', title: 'Match Confidence' },
+        { id: 'match_reason', title: 'Reason' }
+      ],
+      encoding: 'utf8'
+    });
+
+    await csvWriter.writeRecords(entries);
+    
+    return filePath;
+  }
 }
 
 module.exports = CSVExporter;
@@ -1,6 +1,7 @@
 const ExcelJS = require('exceljs');
 const path = require('path');
 const fs = require('fs').promises;
+const { getLocalizedLanguages, getLocaleColumns } = require('../utils/helpers');
 
 class ExcelExporter {
   constructor(outputDir = './output') {
@@ -24,10 +25,12 @@ class ExcelExporter {
     // Create Movies worksheet
     const moviesSheet = workbook.addWorksheet('Movies');
     
-    // Define columns for movies sheet
+    // Define columns for movies sheet; --locale-columns adds texts per language at the end
+    const localeColumns = getLocaleColumns(getLocalizedLanguages(movies));
     moviesSheet.columns = [
       { header: 'Title', key: 'title', width: 30 },
       { header: 'Original Title', key: 'original_title', width: 30 },
+      { header: 'Title Type', key: 'title_type', width: 12 },
       { header: 'Release Year', key: 'release_year', width: 15 },
       { header: 'Release Month', key: 'release_month', width: 15 },
       { header: 'Release Day', key: 'release_day', width: 15 },
@@ -49,7 +52,24 @@ class ExcelExporter {
       { header: 'Writer', key: 'writer', width: 25 },
       { header: 'Awards', key: 'awards', width: 30 },
       { header: 'Poster URL', key: 'poster_url', width: 40 },
-      { header: 'Sources', key: 'sources', width: 20 }
+      { header: 'Poster File', key: 'poster_local_path', width: 40 },
+      { header: 'Backdrop File', key: 'backdrop_local_path', width: 40 },
+      { header: 'Release Region', key: 'release_region', width: 15 },
+      { header: 'Regional Release Date', key: 'regional_release_date', width: 22 },
+      { header: 'Certification', key: 'certification', width: 15 },
+      { header: 'Series Title', key: 'series_title', width: 30 },
+      { header: 'Season', key: 'season_number', width: 10 },
+      { header: 'Episode', key: 'episode_number', width: 10 },
+      { header: 'Number of Seasons', key: 'number_of_seasons', width: 18 },
+      { header: 'Episode Count', key: 'episode_count', width: 15 },
+      { header: 'First Air Date', key: 'first_air_date', width: 15 },
+      { header: 'Last Air Date', key: 'last_air_date', width: 15 },
+      { header: 'Networks', key: 'networks', width: 25 },
+      { header: 'Creator', key: 'creator', width: 25 },
+      { header: 'Sources', key: 'sources', width: 20 },
+      { header: 'Match Confidence', key: 'match_confidence', width: 18 },
+      { header: 'Match Reason', key: 'match_reason', width: 40 },
+      ...localeColumns.map(column => ({ header: column.title, key: column.id, width: column.field === 'description' ? 50 : 30 }))
     ];
 
     // Style the header row
@@ -65,6 +85,7 @@ class ExcelExporter {
       const row = {
         title: movie.title,
         original_title: movie.original_title,
+        title_type: movie.title_type,
         release_year: movie.release_year,
         release_month: movie.release_month,
         release_day: movie.release_day,
@@ -86,8 +107,28 @@ class ExcelExporter {
         writer: movie.writer,
         awards: movie.awards,
         poster_url: movie.poster_url,
-        sources: Array.isArray(movie.sources) ? movie.sources.join(', ') : movie.source || ''
+        poster_local_path: movie.poster_local_path,
+        backdrop_local_path: movie.backdrop_local_path,
+        release_region: movie.release_region,
+        regional_release_date: movie.regional_release_date,
+        certification: movie.certification,
+        series_title: movie.series_title,
+        season_number: movie.season_number,
+        episode_number: movie.episode_number,
+        number_of_seasons: movie.number_of_seasons,
+        episode_count: movie.episode_count,
+        first_air_date: movie.first_air_date,
+        last_air_date: movie.last_air_date,
+        networks: movie.networks,
+        creator: movie.creator,
+        sources: Array.isArray(movie.sources) ? movie.sources.join(', ') : movie.source || '',
+        match_confidence: movie.match_confidence,
+        match_reason: movie.match_reason
       };
+
+      localeColumns.forEach(column => {
+        row[column.id] = ((movie.localized || {})[column.language] || {})[column.field];
+      });
       
       moviesSheet.addRow(row);
     });
@@ -156,6 +197,160 @@ class ExcelExporter {
       }
     });
 
+    // Create Release Dates worksheet
+    const releaseDatesSheet = workbook.addWorksheet('Release Dates');
+    
+    releaseDatesSheet.columns = [
+      { header: 'Movie Title', key: 'movie_title', width: 30 },
+      { header: 'Country', key: 'country', width: 10 },
+      { header: 'Release Date', key: 'release_date', width: 15 },
+      { header: 'Release Type', key: 'release_type', width: 15 },
+      { header: 'Certification', key: 'certification', width: 15 },
+      { header: 'Note', key: 'note', width: 30 }
+    ];
+
+    // Style the release dates header row
+    releaseDatesSheet.getRow(1).font = { bold: true };
+    releaseDatesSheet.getRow(1).fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FFE0E0E0' }
+    };
+
+    // Add release dates data
+    movies.forEach(movie => {
+      if (Array.isArray(movie.release_dates)) {
+        movie.release_dates.forEach(release => {
+          releaseDatesSheet.addRow({
+            movie_title: movie.title,
+            country: release.country,
+            release_date: release.date,
+            release_type: release.type,
+            certification: release.certification || '',
+            note: release.note || ''
+          });
+        });
+      }
+    });
+
+    // Create Watch Providers worksheet
+    const watchProvidersSheet = workbook.addWorksheet('Watch Providers');
+    
+    watchProvidersSheet.columns = [
+      { header: 'Movie Title', key: 'movie_title', width: 30 },
+      { header: 'Country', key: 'country', width: 10 },
+      { header: 'Provider', key: 'provider', width: 25 },
+      { header: 'Offer Type', key: 'offer_type', width: 12 },
+      { header: 'Link', key: 'link', width: 50 }
+    ];
+
+    // Style the watch providers header row
+    watchProvidersSheet.getRow(1).font = { bold: true };
+    watchProvidersSheet.getRow(1).fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FFE0E0E0' }
+    };
+
+    // Add watch providers data
+    movies.forEach(movie => {
+      if (Array.isArray(movie.watch_providers)) {
+        movie.watch_providers.forEach(offer => {
+          watchProvidersSheet.addRow({
+            movie_title: movie.title,
+            country: offer.country,
+            provider: offer.provider,
+            offer_type: offer.type,
+            link: offer.link || ''
+          });
+        });
+      }
+    });
+
+    // Create Episodes worksheet (only when series were exported with their episodes)
+    if (movies.some(movie => Array.isArray(movie.episodes) && movie.episodes.length > 0)) {
+      const episodesSheet = workbook.addWorksheet('Episodes');
+      
+      episodesSheet.columns = [
+        { header: 'Series Title', key: 'series_title', width: 30 },
+        { header: 'Season', key: 'season_number', width: 10 },
+        { header: 'Episode', key: 'episode_number', width: 10 },
+        { header: 'Episode Title', key: 'episode_title', width: 30 },
+        { header: 'Air Date', key: 'air_date', width: 15 },
+        { header: 'Runtime (min)', key: 'runtime_min', width: 15 },
+        { header: 'TMDB Rating', key: 'tmdb_rating', width: 15 },
+        { header: 'Director', key: 'director', width: 25 },
+        { header: 'Writer', key: 'writer', width: 25 },
+        { header: 'IMDB ID', key: 'imdb_id', width: 15 },
+        { header: 'TMDB ID', key: 'tmdb_id', width: 12 }
+      ];
+
+      // Style the episodes header row
+      episodesSheet.getRow(1).font = { bold: true };
+      episodesSheet.getRow(1).fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFE0E0E0' }
+      };
+
+      // Add episodes data
+      movies.forEach(movie => {
+        (movie.episodes || []).forEach(episode => {
+          episodesSheet.addRow({
+            series_title: movie.title,
+            season_number: episode.season_number,
+            episode_number: episode.episode_number,
+            episode_title: episode.title,
+            air_date: episode.air_date,
+            runtime_min: episode.runtime_min,
+            tmdb_rating: episode.tmdb_rating,
+            director: episode.director,
+            writer: episode.writer,
+            imdb_id: episode.imdb_id,
+            tmdb_id: episode.tmdb_id
+          });
+        });
+      });
+    }
+
+    // Create Reviews worksheet (only when reviews were fetched)
+    if (movies.some(movie => Array.isArray(movie.reviews))) {
+      const reviewsSheet = workbook.addWorksheet('Reviews');
+      
+      reviewsSheet.columns = [
+        { header: 'Movie Title', key: 'movie_title', width: 30 },
+        { header: 'TMDB ID', key: 'tmdb_id', width: 12 },
+        { header: 'Author', key: 'author', width: 20 },
+        { header: 'Rating', key: 'rating', width: 10 },
+        { header: 'Created At', key: 'created_at', width: 22 },
+        { header: 'Content', key: 'content', width: 80 },
+        { header: 'URL', key: 'url', width: 40 }
+      ];
+
+      // Style the reviews header row
+      reviewsSheet.getRow(1).font = { bold: true };
+      reviewsSheet.getRow(1).fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFE0E0E0' }
+      };
+
+      // Add reviews data; Excel cells hold at most 32767 characters
+      movies.forEach(movie => {
+        (movie.reviews || []).forEach(review => {
+          reviewsSheet.addRow({
+            movie_title: movie.title,
+            tmdb_id: movie.tmdb_id,
+            author: review.author,
+            rating: review.rating,
+            created_at: review.created_at,
+            content: review.content.slice(0, 32767),
+            url: review.url
+          });
+        });
+      });
+    }
+
     // Create Summary worksheet
     const summarySheet = workbook.addWorksheet('Summary');
     
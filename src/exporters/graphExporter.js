@@ -0,0 +1,238 @@
+const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const fs = require('fs').promises;
+const path = require('path');
+
+// Node attributes written to every graph format: key, type (GraphML/GEXF) and how to read it from a node
+const NODE_ATTRIBUTES = [
+  { key: 'tmdb_id', type: 'int', value: node => node.tmdb_id },
+  { key: 'imdb_id', type: 'string', value: node => node.imdb_id },
+  { key: 'title', type: 'string', value: node => node.title },
+  { key: 'year', type: 'int', value: node => node.release_year },
+  { key: 'genre', type: 'string', value: node => node.genre },
+  { key: 'tmdb_rating', type: 'double', value: node => node.tmdb_rating },
+  { key: 'popularity', type: 'double', value: node => node.popularity },
+  { key: 'depth', type: 'int', value: node => node.depth },
+  { key: 'seed', type: 'boolean', value: node => node.seed }
+];
+
+const EDGE_ATTRIBUTES = [
+  { key: 'type', type: 'string', value: edge => edge.type },
+  { key: 'rank', type: 'int', value: edge => edge.rank }
+];
+
+// GEXF names some types differently than GraphML
+const GEXF_TYPES = { int: 'integer', double: 'double', string: 'string', boolean: 'boolean' };
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function hasAttributeValue(value) {
+  return value !== null && value !== undefined && value !== '' && !(typeof value === 'number' && isNaN(value));
+}
+
+function nodeLabel(node) {
+  return node.release_year ? `${node.title} (${node.release_year})` : node.title;
+}
+
+/**
+ * Writes movie graphs (nodes are movies, edges are TMDB recommendation/similar links)
+ * in formats Gephi, yEd, Graphviz and spreadsheets can read
+ */
+class GraphExporter {
+  constructor(outputDir = './output') {
+    this.outputDir = outputDir;
+  }
+
+  async ensureOutputDir() {
+    try {
+      await fs.access(this.outputDir);
+    } catch {
+      await fs.mkdir(this.outputDir, { recursive: true });
+    }
+  }
+
+  async writeFile(content, filename) {
+    await this.ensureOutputDir();
+
+    const filePath = path.join(this.outputDir, filename);
+    await fs.writeFile(filePath, content, 'utf8');
+
+    return filePath;
+  }
+
+  async exportGraphML(graph, filename = 'movie_graph.graphml') {
+    const keys = [
+      ...NODE_ATTRIBUTES.map(attr => `  <key id="${attr.key}" for="node" attr.name="${attr.key}" attr.type="${attr.type}"/>`),
+      ...EDGE_ATTRIBUTES.map(attr => `  <key id="edge_${attr.key}" for="edge" attr.name="${attr.key}" attr.type="${attr.type}"/>`)
+    ];
+
+    const nodes = graph.nodes.map(node => {
+      const data = NODE_ATTRIBUTES
+        .filter(attr => hasAttributeValue(attr.value(node)))
+        .map(attr => `      <data key="${attr.key}">${escapeXml(attr.value(node))}</data>`);
+      return [`    <node id="n${node.tmdb_id}">`, ...data, '    </node>'].join('\n');
+    });
+
+    const edges = graph.edges.map((edge, index) => {
+      const data = EDGE_ATTRIBUTES.map(attr => `      <data key="edge_${attr.key}">${escapeXml(attr.value(edge))}</data>`);
+      return [`    <edge id="e${index}" source="n${edge.source}" target="n${edge.target}">`, ...data, '    </edge>'].join('\n');
+    });
+
+    const content = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+      ...keys,
+      '  <graph id="movies" edgedefault="directed">',
+      ...nodes,
+      ...edges,
+      '  </graph>',
+      '</graphml>',
+      ''
+    ].join('\n');
+
+    return await this.writeFile(content, filename);
+  }
+
+  async exportGEXF(graph, filename = 'movie_graph.gexf') {
+    const attributeDefinitions = (attributes) => attributes
+      .map((attr, index) => `      <attribute id="${index}" title="${attr.key}" type="${GEXF_TYPES[attr.type]}"/>`);
+    const attributeValues = (attributes, item) => {
+      const values = attributes
+        .map((attr, index) => ({ index, value: attr.value(item) }))
+        .filter(({ value }) => hasAttributeValue(value))
+        .map(({ index, value }) => `          <attvalue for="${index}" value="${escapeXml(value)}"/>`);
+      return ['        <attvalues>', ...values, '        </attvalues>'];
+    };
+
+    const nodes = graph.nodes.map(node => [
+      `      <node id="${node.tmdb_id}" label="${escapeXml(nodeLabel(node))}">`,
+      ...attributeValues(NODE_ATTRIBUTES, node),
+      '      </node>'
+    ].join('\n'));
+
+    const edges = graph.edges.map((edge, index) => [
+      `      <edge id="${index}" source="${edge.source}" target="${edge.target}" label="${edge.type}">`,
+      ...attributeValues(EDGE_ATTRIBUTES, edge),
+      '      </edge>'
+    ].join('\n'));
+
+    const content = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+      `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+      '    <creator>filmweb-fetcher</creator>',
+      '    <description>TMDB recommendation and similar-movie links</description>',
+      '  </meta>',
+      '  <graph mode="static" defaultedgetype="directed">',
+      '    <attributes class="node">',
+      ...attributeDefinitions(NODE_ATTRIBUTES),
+      '    </attributes>',
+      '    <attributes class="edge">',
+      ...attributeDefinitions(EDGE_ATTRIBUTES),
+      '    </attributes>',
+      '    <nodes>',
+      ...nodes,
+      '    </nodes>',
+      '    <edges>',
+      ...edges,
+      '    </edges>',
+      '  </graph>',
+      '</gexf>',
+      ''
+    ].join('\n');
+
+    return await this.writeFile(content, filename);
+  }
+
+  async exportDOT(graph, filename = 'movie_graph.dot') {
+    const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+    // Seeds stand out; similar-movie links are dashed
+    const nodes = graph.nodes.map(node =>
+      `  ${quote(node.tmdb_id)} [label=${quote(nodeLabel(node))}${node.seed ? ', style=filled, fillcolor=lightblue' : ''}];`
+    );
+    const edges = graph.edges.map(edge =>
+      `  ${quote(edge.source)} -> ${quote(edge.target)} [type=${quote(edge.type)}, rank=${edge.rank}${edge.type === 'similar' ? ', style=dashed' : ''}];`
+    );
+
+    const content = [
+      'digraph movies {',
+      '  node [shape=box];',
+      ...nodes,
+      ...edges,
+      '}',
+      ''
+    ].join('\n');
+
+    return await this.writeFile(content, filename);
+  }
+
+  async exportEdgeList(graph, filename = 'movie_graph_edges.csv') {
+    await this.ensureOutputDir();
+
+    const filePath = path.join(this.outputDir, filename);
+    const titles = new Map(graph.nodes.map(node => [node.tmdb_id, node.title]));
+
+    // Source/Target/Type are the column names Gephi's spreadsheet import looks for
+    const csvWriter = createCsvWriter({
+      path: filePath,
+      header: [
+        { id: 'source', title: 'Source' },
+        { id: 'target', title: 'Target' },
+        { id: 'direction', title: 'Type' },
+        { id: 'relation', title: 'Relation' },
+        { id: 'rank', title: 'Rank' },
+        { id: 'source_title', title: 'Source Title' },
+        { id: 'target_title', title: 'Target Title' }
+      ],
+      encoding: 'utf8'
+    });
+
+    await csvWriter.writeRecords(graph.edges.map(edge => ({
+      source: edge.source,
+      target: edge.target,
+      direction: 'Directed',
+      relation: edge.type,
+      rank: edge.rank,
+      source_title: titles.get(edge.source),
+      target_title: titles.get(edge.target)
+    })));
+
+    return filePath;
+  }
+
+  async exportNodeList(graph, filename = 'movie_graph_nodes.csv') {
+    await this.ensureOutputDir();
+
+    const filePath = path.join(this.outputDir, filename);
+
+    // Id/Label are the column names Gephi's spreadsheet import looks for
+    const csvWriter = createCsvWriter({
+      path: filePath,
+      header: [
+        { id: 'id', title: 'Id' },
+        { id: 'label', title: 'Label' },
+        ...NODE_ATTRIBUTES.map(attr => ({ id: attr.key, title: attr.key }))
+      ],
+      encoding: 'utf8'
+    });
+
+    await csvWriter.writeRecords(graph.nodes.map(node => {
+      const row = { id: node.tmdb_id, label: nodeLabel(node) };
+      NODE_ATTRIBUTES.forEach(attr => {
+        row[attr.key] = attr.value(node);
+      });
+      return row;
+    }));
+
+    return filePath;
+  }
+}
+
+module.exports = GraphExporter;
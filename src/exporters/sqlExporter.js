@@ -37,6 +37,7 @@ CREATE TABLE IF NOT EXISTS movies (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     title TEXT NOT NULL,
     original_title TEXT,
+    title_type TEXT,
     release_year INTEGER,
     release_month INTEGER,
     release_day INTEGER,
@@ -64,11 +65,27 @@ CREATE TABLE IF NOT EXISTS movies (
     awards TEXT,
     poster_url TEXT,
     backdrop_url TEXT,
+    poster_local_path TEXT,
+    backdrop_local_path TEXT,
     language TEXT,
     rated TEXT,
+    release_region TEXT,
+    regional_release_date DATE,
+    certification TEXT,
+    series_title TEXT,
+    season_number INTEGER,
+    episode_number INTEGER,
+    number_of_seasons INTEGER,
+    episode_count INTEGER,
+    first_air_date DATE,
+    last_air_date DATE,
+    networks TEXT,
+    creator TEXT,
     dvd_release TEXT,
     website TEXT,
     sources TEXT,
+    match_confidence REAL,
+    match_reason TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -91,6 +108,85 @@ CREATE TABLE IF NOT EXISTS alternative_titles (
     FOREIGN KEY (movie_id) REFERENCES movies (id)
 );
 
+-- Create release_dates table (one row per release in each country)
+CREATE TABLE IF NOT EXISTS release_dates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    movie_id INTEGER,
+    country TEXT NOT NULL,
+    release_date TEXT,
+    release_type TEXT,
+    certification TEXT,
+    note TEXT,
+    FOREIGN KEY (movie_id) REFERENCES movies (id)
+);
+
+-- Create watch_providers table (where a movie can be streamed, rented or bought)
+CREATE TABLE IF NOT EXISTS watch_providers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    movie_id INTEGER,
+    country TEXT NOT NULL,
+    provider_id INTEGER,
+    provider_name TEXT NOT NULL,
+    offer_type TEXT NOT NULL,
+    link TEXT,
+    FOREIGN KEY (movie_id) REFERENCES movies (id)
+);
+
+-- Create episodes table (episodes of the series in the movies table)
+CREATE TABLE IF NOT EXISTS episodes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    movie_id INTEGER,
+    season_number INTEGER,
+    episode_number INTEGER,
+    title TEXT,
+    air_date DATE,
+    runtime_min INTEGER,
+    tmdb_rating REAL,
+    tmdb_vote_count INTEGER,
+    director TEXT,
+    writer TEXT,
+    description TEXT,
+    imdb_id TEXT,
+    tmdb_id INTEGER,
+    FOREIGN KEY (movie_id) REFERENCES movies (id)
+);
+
+-- Create translations table (title, description and tagline per language, with --locale-columns)
+CREATE TABLE IF NOT EXISTS translations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    movie_id INTEGER,
+    language TEXT NOT NULL,
+    title TEXT,
+    description TEXT,
+    tagline TEXT,
+    FOREIGN KEY (movie_id) REFERENCES movies (id)
+);
+
+-- Create reviews table (TMDB user reviews, with --include-reviews)
+CREATE TABLE IF NOT EXISTS reviews (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    movie_id INTEGER,
+    review_id TEXT UNIQUE,
+    author TEXT,
+    username TEXT,
+    rating REAL,
+    created_at TIMESTAMP,
+    updated_at TIMESTAMP,
+    content TEXT,
+    url TEXT,
+    FOREIGN KEY (movie_id) REFERENCES movies (id)
+);
+
+-- Create field_provenance table (which API each merged field came from)
+CREATE TABLE IF NOT EXISTS field_provenance (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    movie_id INTEGER,
+    field_name TEXT NOT NULL,
+    source TEXT,
+    fetched_at TIMESTAMP,
+    FOREIGN KEY (movie_id) REFERENCES movies (id)
+);
+
 -- Create genres table (normalized)
 CREATE TABLE IF NOT EXISTS genres (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -130,89 +226,216 @@ CREATE INDEX IF NOT EXISTS idx_movies_release_year ON movies(release_year);
 CREATE INDEX IF NOT EXISTS idx_movies_rating ON movies(imdb_rating);
 CREATE INDEX IF NOT EXISTS idx_cast_movie_id ON cast(movie_id);
 CREATE INDEX IF NOT EXISTS idx_cast_actor_name ON cast(actor_name);
+CREATE INDEX IF NOT EXISTS idx_release_dates_movie_id ON release_dates(movie_id);
+CREATE INDEX IF NOT EXISTS idx_release_dates_country ON release_dates(country);
+CREATE INDEX IF NOT EXISTS idx_watch_providers_movie_id ON watch_providers(movie_id);
+CREATE INDEX IF NOT EXISTS idx_watch_providers_country ON watch_providers(country, offer_type);
+CREATE INDEX IF NOT EXISTS idx_episodes_movie_id ON episodes(movie_id, season_number, episode_number);
+CREATE INDEX IF NOT EXISTS idx_translations_movie_id ON translations(movie_id, language);
+CREATE INDEX IF NOT EXISTS idx_reviews_movie_id ON reviews(movie_id);
+CREATE INDEX IF NOT EXISTS idx_field_provenance_movie_id ON field_provenance(movie_id);
 
 `;
   }
 
+  generateMovieInsertSQL(movie, movieId) {
+    let sql = '';
+
+    // Insert movie record
+    sql += `INSERT OR REPLACE INTO movies (
+      id, title, original_title, title_type, release_year, release_month, release_day,
+      country, description, genre, runtime_min, is_color,
+      gross_worldwide_boxoffice, budget, distribution, studio, based_on,
+      imdb_id, imdb_rating, imdb_vote_count, tmdb_id, tmdb_rating,
+      tmdb_vote_count, tmdb_popularity, metascore, metacritic_score,
+      director, writer, awards, poster_url, backdrop_url,
+      poster_local_path, backdrop_local_path,
+      language, rated, release_region, regional_release_date, certification,
+      series_title, season_number, episode_number, number_of_seasons, episode_count,
+      first_air_date, last_air_date, networks, creator,
+      dvd_release, website, sources,
+      match_confidence, match_reason
+    ) VALUES (
+      ${movieId},
+      ${this.formatValue(movie.title)},
+      ${this.formatValue(movie.original_title)},
+      ${this.formatValue(movie.title_type)},
+      ${this.formatValue(movie.release_year)},
+      ${this.formatValue(movie.release_month)},
+      ${this.formatValue(movie.release_day)},
+      ${this.formatValue(movie.country)},
+      ${this.formatValue(movie.description)},
+      ${this.formatValue(movie.genre)},
+      ${this.formatValue(movie.runtime_min)},
+      ${this.formatValue(movie.is_color)},
+      ${this.formatValue(movie.gross_worldwide_boxoffice)},
+      ${this.formatValue(movie.budget)},
+      ${this.formatValue(movie.distribution)},
+      ${this.formatValue(movie.studio)},
+      ${this.formatValue(movie.based_on)},
+      ${this.formatValue(movie.imdb_id)},
+      ${this.formatValue(movie.imdb_rating)},
+      ${this.formatValue(movie.imdb_vote_count)},
+      ${this.formatValue(movie.tmdb_id)},
+      ${this.formatValue(movie.tmdb_rating)},
+      ${this.formatValue(movie.tmdb_vote_count)},
+      ${this.formatValue(movie.popularity)},
+      ${this.formatValue(movie.metascore)},
+      ${this.formatValue(movie.metacritic_score)},
+      ${this.formatValue(movie.director)},
+      ${this.formatValue(movie.writer)},
+      ${this.formatValue(movie.awards)},
+      ${this.formatValue(movie.poster_url)},
+      ${this.formatValue(movie.backdrop_url)},
+      ${this.formatValue(movie.poster_local_path)},
+      ${this.formatValue(movie.backdrop_local_path)},
+      ${this.formatValue(movie.language)},
+      ${this.formatValue(movie.rated)},
+      ${this.formatValue(movie.release_region)},
+      ${this.formatValue(movie.regional_release_date)},
+      ${this.formatValue(movie.certification)},
+      ${this.formatValue(movie.series_title)},
+      ${this.formatValue(movie.season_number)},
+      ${this.formatValue(movie.episode_number)},
+      ${this.formatValue(movie.number_of_seasons)},
+      ${this.formatValue(movie.episode_count)},
+      ${this.formatValue(movie.first_air_date)},
+      ${this.formatValue(movie.last_air_date)},
+      ${this.formatValue(movie.networks)},
+      ${this.formatValue(movie.creator)},
+      ${this.formatValue(movie.dvd_release)},
+      ${this.formatValue(movie.website)},
+      ${this.formatValue(Array.isArray(movie.sources) ? movie.sources.join(', ') : movie.source)},
+      ${this.formatValue(movie.match_confidence)},
+      ${this.formatValue(movie.match_reason)}
+    );\n\n`;
+
+    // Insert cast
+    if (Array.isArray(movie.cast)) {
+      movie.cast.forEach((actor, castIndex) => {
+        sql += `INSERT INTO cast (movie_id, actor_name, character_role, cast_order) VALUES (
+          ${movieId},
+          ${this.formatValue(actor.name)},
+          ${this.formatValue(actor.role)},
+          ${castIndex + 1}
+        );\n`;
+      });
+    }
+
+    // Insert alternative titles
+    if (Array.isArray(movie.other_titles)) {
+      movie.other_titles.forEach((altTitle) => {
+        sql += `INSERT INTO alternative_titles (movie_id, title, country) VALUES (
+          ${movieId},
+          ${this.formatValue(altTitle.title)},
+          ${this.formatValue(altTitle.country)}
+        );\n`;
+      });
+    }
+
+    // Insert release dates
+    if (Array.isArray(movie.release_dates)) {
+      movie.release_dates.forEach((release) => {
+        sql += `INSERT INTO release_dates (movie_id, country, release_date, release_type, certification, note) VALUES (
+          ${movieId},
+          ${this.formatValue(release.country)},
+          ${this.formatValue(release.date)},
+          ${this.formatValue(release.type)},
+          ${this.formatValue(release.certification)},
+          ${this.formatValue(release.note)}
+        );\n`;
+      });
+    }
+
+    // Insert watch providers
+    if (Array.isArray(movie.watch_providers)) {
+      movie.watch_providers.forEach((offer) => {
+        sql += `INSERT INTO watch_providers (movie_id, country, provider_id, provider_name, offer_type, link) VALUES (
+          ${movieId},
+          ${this.formatValue(offer.country)},
+          ${this.formatValue(offer.provider_id)},
+          ${this.formatValue(offer.provider)},
+          ${this.formatValue(offer.type)},
+          ${this.formatValue(offer.link)}
+        );\n`;
+      });
+    }
+
+    // Insert episodes
+    if (Array.isArray(movie.episodes)) {
+      movie.episodes.forEach((episode) => {
+        sql += `INSERT INTO episodes (movie_id, season_number, episode_number, title, air_date, runtime_min, tmdb_rating, tmdb_vote_count, director, writer, description, imdb_id, tmdb_id) VALUES (
+          ${movieId},
+          ${this.formatValue(episode.season_number)},
+          ${this.formatValue(episode.episode_number)},
+          ${this.formatValue(episode.title)},
+          ${this.formatValue(episode.air_date)},
+          ${this.formatValue(episode.runtime_min)},
+          ${this.formatValue(episode.tmdb_rating)},
+          ${this.formatValue(episode.tmdb_vote_count)},
+          ${this.formatValue(episode.director)},
+          ${this.formatValue(episode.writer)},
+          ${this.formatValue(episode.description)},
+          ${this.formatValue(episode.imdb_id)},
+          ${this.formatValue(episode.tmdb_id)}
+        );\n`;
+      });
+    }
+
+    // Insert translations
+    if (movie.localized) {
+      Object.keys(movie.localized).forEach((language) => {
+        const localized = movie.localized[language];
+        sql += `INSERT INTO translations (movie_id, language, title, description, tagline) VALUES (
+          ${movieId},
+          ${this.formatValue(language)},
+          ${this.formatValue(localized.title)},
+          ${this.formatValue(localized.description)},
+          ${this.formatValue(localized.tagline)}
+        );\n`;
+      });
+    }
+
+    // Insert reviews
+    if (Array.isArray(movie.reviews)) {
+      movie.reviews.forEach((review) => {
+        sql += `INSERT OR REPLACE INTO reviews (movie_id, review_id, author, username, rating, created_at, updated_at, content, url) VALUES (
+          ${movieId},
+          ${this.formatValue(review.review_id)},
+          ${this.formatValue(review.author)},
+          ${this.formatValue(review.username)},
+          ${this.formatValue(review.rating)},
+          ${this.formatValue(review.created_at)},
+          ${this.formatValue(review.updated_at)},
+          ${this.formatValue(review.content)},
+          ${this.formatValue(review.url)}
+        );\n`;
+      });
+    }
+
+    // Insert field provenance
+    if (movie._provenance) {
+      Object.keys(movie._provenance).forEach(field => {
+        sql += `INSERT INTO field_provenance (movie_id, field_name, source, fetched_at) VALUES (
+          ${movieId},
+          ${this.formatValue(field)},
+          ${this.formatValue(movie._provenance[field].source)},
+          ${this.formatValue(movie._provenance[field].fetched_at)}
+        );\n`;
+      });
+    }
+
+    return sql;
+  }
+
   generateInsertSQL(movies) {
     let sql = this.generateCreateTableSQL();
     sql += '\n-- Insert movie data\nBEGIN TRANSACTION;\n\n';
 
     // Insert movies
     for (let i = 0; i < movies.length; i++) {
-      const movie = movies[i];
       const movieId = i + 1; // Simple auto-increment simulation
-
-      // Insert movie record
-      sql += `INSERT OR REPLACE INTO movies (
-        id, title, original_title, release_year, release_month, release_day,
-        country, description, genre, runtime_min, is_color,
-        gross_worldwide_boxoffice, budget, distribution, studio, based_on,
-        imdb_id, imdb_rating, imdb_vote_count, tmdb_id, tmdb_rating,
-        tmdb_vote_count, tmdb_popularity, metascore, metacritic_score,
-        director, writer, awards, poster_url, backdrop_url,
-        language, rated, dvd_release, website, sources
-      ) VALUES (
-        ${movieId},
-        ${this.formatValue(movie.title)},
-        ${this.formatValue(movie.original_title)},
-        ${this.formatValue(movie.release_year)},
-        ${this.formatValue(movie.release_month)},
-        ${this.formatValue(movie.release_day)},
-        ${this.formatValue(movie.country)},
-        ${this.formatValue(movie.description)},
-        ${this.formatValue(movie.genre)},
-        ${this.formatValue(movie.runtime_min)},
-        ${this.formatValue(movie.is_color)},
-        ${this.formatValue(movie.gross_worldwide_boxoffice)},
-        ${this.formatValue(movie.budget)},
-        ${this.formatValue(movie.distribution)},
-        ${this.formatValue(movie.studio)},
-        ${this.formatValue(movie.based_on)},
-        ${this.formatValue(movie.imdb_id)},
-        ${this.formatValue(movie.imdb_rating)},
-        ${this.formatValue(movie.imdb_vote_count)},
-        ${this.formatValue(movie.tmdb_id)},
-        ${this.formatValue(movie.tmdb_rating)},
-        ${this.formatValue(movie.tmdb_vote_count)},
-        ${this.formatValue(movie.popularity)},
-        ${this.formatValue(movie.metascore)},
-        ${this.formatValue(movie.metacritic_score)},
-        ${this.formatValue(movie.director)},
-        ${this.formatValue(movie.writer)},
-        ${this.formatValue(movie.awards)},
-        ${this.formatValue(movie.poster_url)},
-        ${this.formatValue(movie.backdrop_url)},
-        ${this.formatValue(movie.language)},
-        ${this.formatValue(movie.rated)},
-        ${this.formatValue(movie.dvd_release)},
-        ${this.formatValue(movie.website)},
-        ${this.formatValue(Array.isArray(movie.sources) ? movie.sources.join(', ') : movie.source)}
-      );\n\n`;
-
-      // Insert cast
-      if (Array.isArray(movie.cast)) {
-        movie.cast.forEach((actor, castIndex) => {
-          sql += `INSERT INTO cast (movie_id, actor_name, character_role, cast_order) VALUES (
-            ${movieId},
-            ${this.formatValue(actor.name)},
-            ${this.formatValue(actor.role)},
-            ${castIndex + 1}
-          );\n`;
-        });
-      }
-
-      // Insert alternative titles
-      if (Array.isArray(movie.other_titles)) {
-        movie.other_titles.forEach((altTitle) => {
-          sql += `INSERT INTO alternative_titles (movie_id, title, country) VALUES (
-            ${movieId},
-            ${this.formatValue(altTitle.title)},
-            ${this.formatValue(altTitle.country)}
-          );\n`;
-        });
-      }
-
+      sql += this.generateMovieInsertSQL(movies[i], movieId);
       sql += '\n';
     }
 
@@ -229,6 +452,38 @@ CREATE INDEX IF NOT EXISTS idx_cast_actor_name ON cast(actor_name);
 -- JOIN cast c ON m.id = c.movie_id 
 -- WHERE m.title = 'The Matrix';
 
+-- Get release dates and certifications in Poland
+-- SELECT m.title, r.release_date, r.release_type, r.certification
+-- FROM release_dates r
+-- JOIN movies m ON m.id = r.movie_id
+-- WHERE r.country = 'PL'
+-- ORDER BY r.release_date;
+
+-- Where can I stream a movie in Poland
+-- SELECT w.provider_name, w.offer_type, w.link
+-- FROM watch_providers w
+-- JOIN movies m ON m.id = w.movie_id
+-- WHERE m.title = 'The Matrix' AND w.country = 'PL';
+
+-- List the episodes of a series in order
+-- SELECT e.season_number, e.episode_number, e.title, e.air_date, e.tmdb_rating
+-- FROM episodes e
+-- JOIN movies m ON m.id = e.movie_id
+-- WHERE m.title = 'The Wire' AND m.title_type = 'series'
+-- ORDER BY e.season_number, e.episode_number;
+
+-- Get Polish titles and descriptions
+-- SELECT m.original_title, t.title, t.description
+-- FROM translations t
+-- JOIN movies m ON m.id = t.movie_id
+-- WHERE t.language = 'pl-PL';
+
+-- Get the API each field of a movie came from
+-- SELECT p.field_name, p.source, p.fetched_at
+-- FROM field_provenance p
+-- JOIN movies m ON m.id = p.movie_id
+-- WHERE m.title = 'The Matrix';
+
 -- Get movies by year range
 -- SELECT title, release_year, imdb_rating 
 -- FROM movies 
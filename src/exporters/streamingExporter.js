@@ -0,0 +1,207 @@
+const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const fs = require('fs').promises;
+const path = require('path');
+const CSVExporter = require('./csvExporter');
+const SQLExporter = require('./sqlExporter');
+const { generateFilename, collectReviews } = require('../utils/helpers');
+
+const STREAMING_FORMATS = ['json', 'csv', 'sql'];
+
+// Files written next to the CSV movies file (keyed <name>_csv), created with their first rows
+const CSV_SIDE_FILES = {
+  release_dates: { headers: csv => csv.getReleaseDateHeaders(), rows: (csv, movies) => csv.getReleaseDateRows(movies) },
+  episodes: { headers: csv => csv.getEpisodeHeaders(), rows: (csv, movies) => csv.getEpisodeRows(movies) },
+  watch_providers: { headers: csv => csv.getWatchProviderHeaders(), rows: (csv, movies) => csv.getWatchProviderRows(movies) },
+  reviews: { headers: csv => csv.getReviewHeaders(), rows: (csv, movies) => collectReviews(movies) }
+};
+
+/**
+ * Appends movies to export files batch by batch so memory stays flat on large runs.
+ * JSON is written as JSON Lines (one movie per line). Reviews go to their own JSON Lines file
+ * (keyed reviews_json) and to the SQL file's reviews table; CSV gets the same side files as a
+ * regular export (release dates, reviews, ...) as soon as there are rows for them.
+ */
+class StreamingExporter {
+  /**
+   * @param {string} outputDir - Output directory
+   * @param {Object} options - localeColumns: languages of `--locale-columns`, needed up front for the CSV header;
+   *   reviews: also write review files (`--include-reviews`)
+   */
+  constructor(outputDir = './output', options = {}) {
+    this.outputDir = outputDir;
+    this.localeColumns = options.localeColumns || [];
+    this.includeReviews = options.reviews || false;
+    this.files = {};
+    this.sizes = {};
+    this.rowCount = 0;
+    this.csvExporter = new CSVExporter(outputDir);
+    this.sqlExporter = new SQLExporter(outputDir);
+    this.csvWriter = null;
+    this.sideCsvWriters = {};
+  }
+
+  async ensureOutputDir() {
+    try {
+      await fs.access(this.outputDir);
+    } catch {
+      await fs.mkdir(this.outputDir, { recursive: true });
+    }
+  }
+
+  static supportsFormat(format) {
+    return STREAMING_FORMATS.includes(format.toLowerCase());
+  }
+
+  /**
+   * Create the export files, or reopen them from a saved state
+   * @param {Array} formats - Export formats (json, csv, sql)
+   * @param {string} prefix - Filename prefix
+   * @param {Object} savedState - State from getState() of an interrupted run
+   */
+  async open(formats, prefix, savedState = null) {
+    await this.ensureOutputDir();
+    this.prefix = prefix;
+
+    if (savedState) {
+      this.files = { ...savedState.files };
+      this.rowCount = savedState.rowCount || 0;
+
+      // Drop anything written after the last checkpoint so rows are not duplicated
+      for (const format of Object.keys(this.files)) {
+        const size = savedState.sizes[format] || 0;
+        try {
+          await fs.truncate(this.files[format], size);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+          await fs.writeFile(this.files[format], '', 'utf8');
+        }
+        this.sizes[format] = size;
+      }
+
+      if (this.files.csv) {
+        this.csvWriter = this.createCsvWriter(this.files.csv, this.sizes.csv > 0);
+      }
+      return;
+    }
+
+    for (const format of formats.map(f => f.toLowerCase())) {
+      if (!StreamingExporter.supportsFormat(format)) continue;
+
+      const extension = format === 'json' ? 'jsonl' : format;
+      const filePath = path.join(this.outputDir, generateFilename(`${prefix}_movies`, extension));
+      this.files[format] = filePath;
+
+      if (format === 'sql') {
+        await fs.writeFile(filePath, this.sqlExporter.generateCreateTableSQL(), 'utf8');
+      } else {
+        await fs.writeFile(filePath, '', 'utf8');
+      }
+
+      if (format === 'csv') {
+        this.csvWriter = this.createCsvWriter(filePath, false);
+      }
+
+      // SQL keeps reviews in its own table, CSV in a side file
+      if (this.includeReviews && format === 'json') {
+        const reviewsPath = path.join(this.outputDir, generateFilename(`${prefix}_reviews`, 'jsonl'));
+        this.files.reviews_json = reviewsPath;
+        await fs.writeFile(reviewsPath, '', 'utf8');
+      }
+    }
+
+    await this.updateSizes();
+  }
+
+  createCsvWriter(filePath, append) {
+    return createCsvWriter({
+      path: filePath,
+      header: this.csvExporter.getMovieHeaders(this.localeColumns),
+      encoding: 'utf8',
+      append
+    });
+  }
+
+  /**
+   * Append the rows of each CSV side file, creating the file with its first rows
+   * @param {Array} movies - Movies of the batch
+   */
+  async appendCsvSideFiles(movies) {
+    for (const [name, sideFile] of Object.entries(CSV_SIDE_FILES)) {
+      const rows = sideFile.rows(this.csvExporter, movies);
+      if (rows.length === 0) continue;
+
+      const key = `${name}_csv`;
+      if (!this.files[key]) {
+        this.files[key] = path.join(this.outputDir, generateFilename(`${this.prefix}_${name}`, 'csv'));
+        await fs.writeFile(this.files[key], '', 'utf8');
+      }
+      if (!this.sideCsvWriters[key]) {
+        // A file reopened after an interruption already has its header
+        this.sideCsvWriters[key] = createCsvWriter({
+          path: this.files[key],
+          header: sideFile.headers(this.csvExporter),
+          encoding: 'utf8',
+          append: this.sizes[key] > 0
+        });
+      }
+      await this.sideCsvWriters[key].writeRecords(rows);
+    }
+  }
+
+  async appendBatch(movies) {
+    if (!movies || movies.length === 0) return;
+
+    if (this.files.json) {
+      const lines = movies.map(({ reviews, ...movie }) => JSON.stringify(movie)).join('\n') + '\n';
+      await fs.appendFile(this.files.json, lines, 'utf8');
+    }
+
+    const reviews = collectReviews(movies);
+    if (reviews.length > 0 && this.files.reviews_json) {
+      await fs.appendFile(this.files.reviews_json, reviews.map(review => JSON.stringify(review)).join('\n') + '\n', 'utf8');
+    }
+
+    if (this.files.csv) {
+      await this.csvWriter.writeRecords(this.csvExporter.flattenMovieData(movies));
+      await this.appendCsvSideFiles(movies);
+    }
+
+    if (this.files.sql) {
+      let sql = 'BEGIN TRANSACTION;\n\n';
+      movies.forEach((movie, index) => {
+        sql += this.sqlExporter.generateMovieInsertSQL(movie, this.rowCount + index + 1);
+        sql += '\n';
+      });
+      sql += 'COMMIT;\n\n';
+      await fs.appendFile(this.files.sql, sql, 'utf8');
+    }
+
+    this.rowCount += movies.length;
+    await this.updateSizes();
+  }
+
+  async updateSizes() {
+    for (const format of Object.keys(this.files)) {
+      const stats = await fs.stat(this.files[format]);
+      this.sizes[format] = stats.size;
+    }
+  }
+
+  /**
+   * State needed to reopen the files after an interruption
+   * @returns {Object} Files, byte sizes and written row count
+   */
+  getState() {
+    return {
+      files: { ...this.files },
+      sizes: { ...this.sizes },
+      rowCount: this.rowCount
+    };
+  }
+
+  getFilePaths() {
+    return Object.values(this.files);
+  }
+}
+
+module.exports = StreamingExporter;
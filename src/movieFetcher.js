@@ -1,10 +1,71 @@
 const OMDBApi = require('./api/omdbApi');
 const TMDBApi = require('./api/tmdbApi');
 const IMDBApi = require('./api/imdbApi');
-const { matchesFilters, mergeMovieData, cleanMovieData } = require('./utils/helpers');
+const ResponseCache = require('./utils/cache');
+const { RequestStats } = require('./api/httpClient');
+const { parseTitleQuery, formatTitleQuery, normalizeTitle, rankTmdbCandidates, computeMatchConfidence } = require('./utils/matching');
+const { matchesFilters, normalizeGenre, mergeMovieData, cleanMovieData, mapWithConcurrency, parseOfferTypes, getTmdbSortBy, splitDateWindow } = require('./utils/helpers');
+const { promptMatchChoice } = require('./utils/prompt');
+const { buildPrecedence } = require('./utils/precedence');
+const { ConflictDetector } = require('./utils/conflicts');
+const { ImageDownloader } = require('./utils/imageDownloader');
 const chalk = require('chalk');
 const ora = require('ora');
 
+// Number of titles processed between checkpoint saves
+const CHECKPOINT_INTERVAL = 10;
+
+// Matches below this confidence are listed in the review report
+const DEFAULT_MIN_CONFIDENCE = 0.7;
+
+// Interactive mode asks when the two best TMDB candidates score closer than this
+const AMBIGUITY_MARGIN = 0.1;
+
+// Candidates shown per ambiguous query in interactive mode
+const MAX_CANDIDATES = 5;
+
+// TMDB serves at most this many discover pages per query
+const TMDB_MAX_PAGES = 500;
+
+// Lower bound of date windows when a discover query without a start date has to be sliced
+const DISCOVER_EARLIEST_DATE = '1870-01-01';
+
+// Date each media type is filtered and sliced by in TMDB discover
+const TMDB_DATE_FIELDS = { movie: 'primary_release_date', tv: 'first_air_date' };
+
+// Discover range filters: option name, TMDB parameter and whether the bound is the lower one
+const DISCOVER_RANGES = [
+  { filter: 'minRating', option: '--min-rating', param: 'vote_average.gte' },
+  { filter: 'maxRating', option: '--max-rating', param: 'vote_average.lte' },
+  { filter: 'minVotes', option: '--min-votes', param: 'vote_count.gte' },
+  { filter: 'maxVotes', option: '--max-votes', param: 'vote_count.lte' },
+  { filter: 'minRuntime', option: '--min-runtime', param: 'with_runtime.gte' },
+  { filter: 'maxRuntime', option: '--max-runtime', param: 'with_runtime.lte' }
+];
+
+// Filmography departments exported by the person command unless others are requested
+const DEFAULT_PERSON_DEPARTMENTS = ['acting', 'directing', 'writing'];
+
+// Reviews fetched per movie by --include-reviews without a number
+const DEFAULT_REVIEWS_PER_MOVIE = 20;
+
+// Graph crawl: edge lists followed, and neighbors taken from each list unless others are requested
+const GRAPH_EDGE_TYPES = ['recommendations', 'similar'];
+const DEFAULT_GRAPH_NEIGHBORS = 10;
+
+// IMDb credit categories mapped to TMDB's department names
+const IMDB_CATEGORY_DEPARTMENTS = {
+  actor: 'acting',
+  actress: 'acting',
+  self: 'acting',
+  director: 'directing',
+  writer: 'writing',
+  producer: 'production',
+  composer: 'sound',
+  cinematographer: 'camera',
+  editor: 'editing'
+};
+
 class MovieFetcher {
   constructor(config) {
     this.config = config;
@@ -14,182 +75,979 @@ class MovieFetcher {
     this.omdbApi = null;
     this.tmdbApi = null;
     this.imdbApi = null;
+
+    // Shared on-disk response cache for all providers
+    this.cache = new ResponseCache({
+      enabled: config.cacheEnabled !== false,
+      refresh: config.cacheRefresh || false,
+      cacheDir: config.cacheDir
+    });
+
+    // Which provider wins each field when merging, and whether to record where values came from
+    this.mergeOptions = {
+      precedence: buildPrecedence({ file: config.precedenceFile, prefer: config.preferRules, language: config.language })
+    };
+
+    // Provider disagreements found before merging, written to the conflicts report
+    this.conflictDetector = new ConflictDetector(config.conflictTolerances);
+
+    // What title searches look for: movie, series, episode (series whose episodes are exported) or all
+    this.titleType = config.titleType || 'movie';
+
+    // Retry/failure counters shared by all providers, summarized at the end of each command
+    this.requestStats = new RequestStats();
+    const apiOptions = {
+      cache: this.cache,
+      requestStats: this.requestStats,
+      maxRetries: config.maxRetries
+    };
     
     if (this.enabledApis.includes('omdb') && config.omdbApiKey) {
-      this.omdbApi = new OMDBApi(config.omdbApiKey);
+      this.omdbApi = new OMDBApi(config.omdbApiKey, this.getRateLimit('omdb'), apiOptions);
     }
     
     if (this.enabledApis.includes('tmdb') && config.tmdbApiKey) {
-      this.tmdbApi = new TMDBApi(config.tmdbApiKey);
+      this.tmdbApi = new TMDBApi(config.tmdbApiKey, this.getRateLimit('tmdb'), {
+        ...apiOptions,
+        language: config.language,
+        fallbackLanguage: config.fallbackLanguage
+      });
     }
     
     if (this.enabledApis.includes('imdb')) {
-      this.imdbApi = config.imdbApiKey ? new IMDBApi(config.imdbApiKey) : new IMDBApi();
+      this.imdbApi = new IMDBApi(config.imdbApiKey || null, this.getRateLimit('imdb'), apiOptions);
     }
     
     console.log(chalk.blue(`Enabled APIs: ${this.enabledApis.join(', ')}`));
   }
 
-  async searchMoviesByTitle(title) {
-    const results = [];
-    const spinner = ora(`Searching for "${title}"`).start();
+  /**
+   * Requests per second for a provider: provider-specific setting, then the global one,
+   * otherwise undefined so the API class falls back to its own default
+   * @param {string} provider - Provider name (omdb, tmdb, imdb)
+   * @returns {number|undefined} Requests per second
+   */
+  getRateLimit(provider) {
+    const rateLimits = this.config.rateLimits || {};
+    return rateLimits[provider] || this.config.rateLimitPerSecond || undefined;
+  }
 
-    try {
-      // Search in OMDB (only if enabled)
-      if (this.omdbApi && this.enabledApis.includes('omdb')) {
+  /**
+   * Find the best TMDB candidate for a query, ranked by title similarity, year distance and popularity
+   * @param {Object} query - Query with title and year
+   * @returns {Promise<Object|null>} Best search result with `match_score`, or null
+   */
+  async findTmdbMatch(query) {
+    const ranked = await this.rankTmdbMatches(query);
+    return ranked.length > 0 ? ranked[0] : null;
+  }
+
+  /**
+   * TMDB media types searched for a title type
+   * @param {string} titleType - movie, series, episode or all
+   * @returns {Array} movie and/or tv
+   */
+  getTmdbMediaTypes(titleType = this.titleType) {
+    if (titleType === 'all') return ['movie', 'tv'];
+    return titleType === 'movie' ? ['movie'] : ['tv'];
+  }
+
+  /**
+   * OMDB `type` parameter for a title type; episodes are looked up through their series
+   * @param {string} titleType - movie, series, episode or all
+   * @returns {string|null} movie, series, or null to accept any type
+   */
+  getOmdbType(titleType = this.titleType) {
+    if (titleType === 'all') return null;
+    return titleType === 'movie' ? 'movie' : 'series';
+  }
+
+  /**
+   * All TMDB search results for a query, best first. Episode queries search series.
+   * @param {Object} query - Query with title and year
+   * @returns {Promise<Array>} Search results with `match_score` and `media_type` (movie or tv)
+   */
+  async rankTmdbMatches(query) {
+    const mediaTypes = Number.isInteger(query.season) ? ['tv'] : this.getTmdbMediaTypes();
+    const candidates = [];
+
+    for (const mediaType of mediaTypes) {
+      const search = (year) => mediaType === 'tv'
+        ? this.tmdbApi.searchTv(query.title, year)
+        : this.tmdbApi.searchMovies(query.title, year);
+
+      let searchResult = await search(query.year);
+
+      // TMDB's year filter is strict; retry without it and let the year distance decide
+      if (query.year && (!searchResult.results || searchResult.results.length === 0)) {
+        searchResult = await search();
+      }
+
+      candidates.push(...(searchResult.results || []).map(result => ({ ...result, media_type: mediaType })));
+    }
+
+    return rankTmdbCandidates(candidates, query);
+  }
+
+  /**
+   * Fetch and normalize a TMDB search, discover or find result
+   * @param {Object} result - Result with `id` and `media_type` (movie when missing)
+   * @param {Object} options - episodes: fetch the seasons of series (default: true)
+   * @returns {Promise<Object|null>} Normalized movie or series
+   */
+  async fetchTmdbTitle(result, options = {}) {
+    if (result.media_type === 'tv') {
+      return await this.fetchTmdbSeries(result.id, options);
+    }
+    return this.tmdbApi.normalizeMovieData(await this.tmdbApi.getMovieDetails(result.id));
+  }
+
+  /**
+   * Fetch a TV series, and unless told otherwise all of its seasons for the episode list
+   * @param {number} tvId - TMDB series ID
+   * @param {Object} options - episodes: fetch the seasons (default: true)
+   * @returns {Promise<Object|null>} Normalized series
+   */
+  async fetchTmdbSeries(tvId, options = {}) {
+    const { episodes = true } = options;
+    const details = await this.tmdbApi.getTvDetails(tvId);
+
+    const seasons = [];
+    if (episodes) {
+      for (const season of details.seasons || []) {
         try {
-          spinner.text = `Searching "${title}" in OMDB...`;
-          const omdbResult = await this.omdbApi.getMovieByTitle(title);
-          if (omdbResult && omdbResult.Response !== 'False') {
-            const normalized = this.omdbApi.normalizeMovieData(omdbResult);
-            if (normalized) results.push(normalized);
-          }
+          seasons.push(await this.tmdbApi.getTvSeason(tvId, season.season_number));
         } catch (error) {
-          console.warn(chalk.yellow(`OMDB search failed for "${title}": ${error.message}`));
+          console.warn(chalk.yellow(`Failed to fetch season ${season.season_number} of "${details.name}": ${error.message}`));
         }
       }
+    }
 
-      // Search in TMDB (only if enabled)
-      if (this.tmdbApi && this.enabledApis.includes('tmdb')) {
-        try {
-          spinner.text = `Searching "${title}" in TMDB...`;
-          const tmdbSearchResult = await this.tmdbApi.searchMovies(title);
-          if (tmdbSearchResult.results && tmdbSearchResult.results.length > 0) {
-            // Get detailed info for the first result
-            const movieDetails = await this.tmdbApi.getMovieDetails(tmdbSearchResult.results[0].id);
-            const normalized = this.tmdbApi.normalizeMovieData(movieDetails);
-            if (normalized) results.push(normalized);
-          }
-        } catch (error) {
-          console.warn(chalk.yellow(`TMDB search failed for "${title}": ${error.message}`));
+    return this.tmdbApi.normalizeSeriesData(details, seasons);
+  }
+
+  /**
+   * Fetch one episode of a TV series
+   * @param {number} tvId - TMDB series ID
+   * @param {number} season - Season number
+   * @param {number} episode - Episode number
+   * @returns {Promise<Object|null>} Normalized episode
+   */
+  async fetchTmdbEpisode(tvId, season, episode) {
+    const [details, episodeData] = await Promise.all([
+      this.tmdbApi.getTvDetails(tvId),
+      this.tmdbApi.getTvEpisode(tvId, season, episode)
+    ]);
+    const externalIds = details.external_ids || {};
+    return this.tmdbApi.normalizeEpisodeData(episodeData, { tmdb_id: details.id, imdb_id: externalIds.imdb_id || null, title: details.name });
+  }
+
+  /**
+   * Find an IMDb title on TMDB, whether it is a movie, a series or an episode
+   * @param {string} imdbId - IMDb ID
+   * @returns {Promise<Object|null>} Normalized TMDB record, or null if TMDB does not know it
+   */
+  async fetchTmdbByImdbId(imdbId) {
+    const found = await this.tmdbApi.findByImdbId(imdbId);
+
+    if (found.movie_results && found.movie_results.length > 0) {
+      return await this.fetchTmdbTitle({ id: found.movie_results[0].id, media_type: 'movie' });
+    }
+    if (found.tv_results && found.tv_results.length > 0) {
+      return await this.fetchTmdbSeries(found.tv_results[0].id);
+    }
+    if (found.tv_episode_results && found.tv_episode_results.length > 0) {
+      const episode = found.tv_episode_results[0];
+      return await this.fetchTmdbEpisode(episode.show_id, episode.season_number, episode.episode_number);
+    }
+    return null;
+  }
+
+  /**
+   * OMDB title lookup that falls back to a year-less lookup when the year is off.
+   * Episode queries look the episode up by series title, season and episode.
+   * @param {Object} query - Query with title and year
+   * @returns {Promise<Object>} OMDB response
+   */
+  async getOmdbByTitle(query) {
+    if (Number.isInteger(query.season)) {
+      return await this.omdbApi.getEpisode(query.title, query.season, query.episode);
+    }
+
+    const type = this.getOmdbType();
+    try {
+      return await this.omdbApi.getMovieByTitle(query.title, query.year, type);
+    } catch (error) {
+      if (query.year && !error.retryable) {
+        return await this.omdbApi.getMovieByTitle(query.title, null, type);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Search all enabled providers for a title in parallel
+   * @param {string|Object} title - Title line ("Dune (1984)", "Dune|1984") or query with title and year
+   * @param {Object} options - silent: suppress the per-title spinner (used by the worker pool);
+   *   errors: array that receives provider failures (other than "not found")
+   * @returns {Promise<Array>} Normalized results for one movie, in OMDB, TMDB, IMDB order
+   */
+  async searchMoviesByTitle(title, options = {}) {
+    const query = typeof title === 'string' ? parseTitleQuery(title) : title;
+    const label = formatTitleQuery(query);
+    const spinner = ora({ text: `Searching for "${label}"`, isSilent: options.silent || false }).start();
+    const errors = options.errors || [];
+
+    const searchOmdb = async () => {
+      try {
+        const omdbResult = await this.getOmdbByTitle(query);
+        if (omdbResult && omdbResult.Response !== 'False') {
+          return this.omdbApi.normalizeMovieData(omdbResult);
         }
+      } catch (error) {
+        console.warn(chalk.yellow(`OMDB search failed for "${label}": ${error.message}`));
+        if (!/not found/i.test(error.message)) errors.push(`OMDB: ${error.message}`);
       }
+      return null;
+    };
 
-      // Search in IMDB (only if enabled)
-      if (this.imdbApi && this.enabledApis.includes('imdb')) {
-        try {
-          spinner.text = `Searching "${title}" in IMDB...`;
-          const imdbSearchResult = await this.imdbApi.searchMovies(title);
-          if (imdbSearchResult.results && imdbSearchResult.results.length > 0) {
-            // Use the first result directly or get more details if needed
-            const firstResult = imdbSearchResult.results[0];
-            let movieDetails = firstResult;
-            
-            // If we have an ID but limited data, fetch full details
-            if (firstResult.id && (!firstResult.plot || !firstResult.directors)) {
+    const searchTmdb = async () => {
+      try {
+        const bestMatch = await this.findTmdbMatch(query);
+        if (bestMatch && Number.isInteger(query.season)) {
+          return await this.fetchTmdbEpisode(bestMatch.id, query.season, query.episode);
+        }
+        if (bestMatch) {
+          return await this.fetchTmdbTitle(bestMatch);
+        }
+      } catch (error) {
+        console.warn(chalk.yellow(`TMDB search failed for "${label}": ${error.message}`));
+        errors.push(`TMDB: ${error.message}`);
+      }
+      return null;
+    };
+
+    const searchImdb = async () => {
+      try {
+        const imdbSearchResult = await this.imdbApi.searchMovies(query.title);
+        if (imdbSearchResult.results && imdbSearchResult.results.length > 0) {
+          // Use the first result directly or get more details if needed
+          const firstResult = imdbSearchResult.results[0];
+          let movieDetails = firstResult;
+          let releaseDates = null;
+          
+          if (firstResult.id) {
+            // If we have limited data, fetch full details
+            if (!firstResult.plot || !firstResult.directors) {
               const fullDetails = await this.imdbApi.getMovieDetails(firstResult.id);
               if (fullDetails) {
                 movieDetails = fullDetails;
               }
             }
-            
-            const normalized = this.imdbApi.normalizeMovieData(movieDetails);
-            if (normalized) results.push(normalized);
+            releaseDates = await this.imdbApi.getTitleReleaseDates(firstResult.id);
           }
-        } catch (error) {
-          console.warn(chalk.yellow(`IMDB search failed for "${title}": ${error.message}`));
+          
+          return this.imdbApi.normalizeMovieData(movieDetails, releaseDates);
         }
+      } catch (error) {
+        console.warn(chalk.yellow(`IMDB search failed for "${label}": ${error.message}`));
+        errors.push(`IMDB: ${error.message}`);
       }
+      return null;
+    };
+
+    try {
+      // Query enabled providers at the same time; each one is throttled by its own rate limiter
+      const searches = [];
+      if (this.omdbApi && this.enabledApis.includes('omdb')) searches.push(searchOmdb());
+      if (this.tmdbApi && this.enabledApis.includes('tmdb')) searches.push(searchTmdb());
+      if (this.imdbApi && this.enabledApis.includes('imdb')) searches.push(searchImdb());
+
+      spinner.text = `Searching "${label}" in ${this.enabledApis.join(', ').toUpperCase()}...`;
+      const candidates = (await Promise.all(searches)).filter(Boolean);
+      const results = await this.reconcileResults(candidates, label);
 
-      spinner.succeed(`Found ${results.length} results for "${title}" using APIs: ${this.enabledApis.join(', ')}`);
+      spinner.succeed(`Found ${results.length} results for "${label}" using APIs: ${this.enabledApis.join(', ')}`);
       return results;
 
     } catch (error) {
-      spinner.fail(`Search failed for "${title}": ${error.message}`);
+      spinner.fail(`Search failed for "${label}": ${error.message}`);
+      errors.push(error.message);
       return [];
     }
   }
 
-  async discoverMovies(filters = {}, onProgress = null) {
+  /**
+   * Fetch an IMDB title together with its release dates
+   * @param {string} imdbId - IMDb ID
+   * @returns {Promise<Object|null>} Normalized IMDB record, or null if the title was not found
+   */
+  async fetchImdbMovie(imdbId) {
+    const [imdbData, releaseDates] = await Promise.all([
+      this.imdbApi.getMovieDetails(imdbId),
+      this.imdbApi.getTitleReleaseDates(imdbId)
+    ]);
+    return imdbData ? this.imdbApi.normalizeMovieData(imdbData, releaseDates) : null;
+  }
+
+  /**
+   * Fetch one known title from all enabled providers in parallel
+   * @param {string} imdbId - IMDb ID
+   * @param {Object} options - errors: array that receives provider failures
+   * @returns {Promise<Array>} Normalized results, in OMDB, TMDB, IMDB order
+   */
+  async searchMoviesByImdbId(imdbId, options = {}) {
+    const errors = options.errors || [];
+
+    const fetchOmdb = async () => {
+      const omdbData = await this.omdbApi.getMovieDetails(imdbId);
+      return this.omdbApi.normalizeMovieData(omdbData);
+    };
+
+    const fetchTmdb = () => this.fetchTmdbByImdbId(imdbId);
+
+    const fetchImdb = () => this.fetchImdbMovie(imdbId);
+
+    const lookups = [];
+    if (this.omdbApi && this.enabledApis.includes('omdb')) lookups.push(['OMDB', fetchOmdb]);
+    if (this.tmdbApi && this.enabledApis.includes('tmdb')) lookups.push(['TMDB', fetchTmdb]);
+    if (this.imdbApi && this.enabledApis.includes('imdb')) lookups.push(['IMDB', fetchImdb]);
+
+    const results = await Promise.all(lookups.map(async ([provider, lookup]) => {
+      try {
+        return await lookup();
+      } catch (error) {
+        if (!/not found|incorrect imdb id/i.test(error.message)) errors.push(`${provider}: ${error.message}`);
+        return null;
+      }
+    }));
+
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Collect match candidates for the interactive chooser from TMDB search and OMDB's `s=` search
+   * @param {Object} query - Query with title and year
+   * @param {number} limit - Maximum number of candidates
+   * @returns {Promise<Array>} Candidates with title, year, director, poster_url and IDs
+   */
+  async findCandidates(query, limit = MAX_CANDIDATES) {
+    const candidates = [];
+    const seenImdbIds = new Set();
+
+    if (this.tmdbApi && this.enabledApis.includes('tmdb')) {
+      try {
+        const ranked = (await this.rankTmdbMatches(query)).slice(0, limit);
+        for (const result of ranked) {
+          const movie = await this.fetchTmdbTitle(result, { episodes: false });
+          if (movie.imdb_id) seenImdbIds.add(movie.imdb_id);
+          candidates.push({
+            title: movie.title,
+            year: movie.release_year,
+            director: movie.director || null,
+            poster_url: movie.poster_url,
+            imdb_id: movie.imdb_id || null,
+            tmdb_id: movie.tmdb_id,
+            source: 'TMDB'
+          });
+        }
+      } catch (error) {
+        console.warn(chalk.yellow(`TMDB candidate search failed: ${error.message}`));
+      }
+    }
+
+    // OMDB's list search only adds titles TMDB did not return
+    if (this.omdbApi && this.enabledApis.includes('omdb') && candidates.length < limit) {
+      try {
+        let searchResult;
+        try {
+          searchResult = await this.omdbApi.searchMovies(query.title, query.year, this.getOmdbType());
+        } catch (error) {
+          if (!query.year || error.retryable) throw error;
+          searchResult = await this.omdbApi.searchMovies(query.title, null, this.getOmdbType());
+        }
+
+        for (const result of searchResult.Search || []) {
+          if (candidates.length >= limit) break;
+          if (seenImdbIds.has(result.imdbID)) continue;
+          seenImdbIds.add(result.imdbID);
+
+          const movie = this.omdbApi.normalizeMovieData(await this.omdbApi.getMovieDetails(result.imdbID));
+          candidates.push({
+            title: result.Title,
+            year: parseInt(result.Year) || null,
+            director: movie ? movie.director : null,
+            poster_url: result.Poster !== 'N/A' ? result.Poster : null,
+            imdb_id: result.imdbID,
+            tmdb_id: null,
+            source: 'OMDB'
+          });
+        }
+      } catch (error) {
+        if (error.retryable) {
+          console.warn(chalk.yellow(`OMDB candidate search failed: ${error.message}`));
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Decide whether an automatic match should be confirmed by the user
+   * @param {Object} query - Query with title and year
+   * @param {Object|null} movie - Merged automatic match
+   * @param {number} minConfidence - Confidence threshold
+   * @returns {Promise<string|null>} Reason the query is ambiguous, or null when the match is clear
+   */
+  async getAmbiguity(query, movie, minConfidence) {
+    if (!movie) {
+      return 'no automatic match';
+    }
+
+    const match = computeMatchConfidence(query, movie);
+    if (match.confidence < minConfidence) {
+      return `low confidence ${match.confidence}`;
+    }
+
+    if (this.tmdbApi && this.enabledApis.includes('tmdb')) {
+      try {
+        const ranked = await this.rankTmdbMatches(query);
+        if (ranked.length > 1 && ranked[0].match_score - ranked[1].match_score < AMBIGUITY_MARGIN) {
+          return 'several close TMDB candidates';
+        }
+      } catch (error) {
+        // The automatic match stands
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve one query to provider results, honoring remembered choices and, in
+   * interactive mode, asking the user when the match is ambiguous
+   * @param {Object} query - Query with title and year
+   * @param {Object} options - mappings: TitleMappings; interactive: prompt on ambiguity;
+   *   minConfidence; silent; errors; spinner: spinner to pause while prompting
+   * @returns {Promise<Object>} results, plus `chosen` (from a mapping or prompt) and `skipped`
+   */
+  async resolveQuery(query, options = {}) {
+    const { mappings = null, interactive = false, silent = false, errors = [], spinner = null } = options;
+    const minConfidence = options.minConfidence !== undefined ? options.minConfidence : DEFAULT_MIN_CONFIDENCE;
+
+    const mapping = mappings ? mappings.get(query) : null;
+    if (mapping) {
+      if (mapping.skip) {
+        return { results: [], chosen: true, skipped: true };
+      }
+      return { results: await this.searchMoviesByImdbId(mapping.imdb_id, { errors }), chosen: true, skipped: false };
+    }
+
+    const results = await this.searchMoviesByTitle(query, { silent, errors });
+
+    // Episode codes are unambiguous once the series is found; candidates would be series
+    if (!interactive || Number.isInteger(query.season)) {
+      return { results, chosen: false, skipped: false };
+    }
+
+    const automatic = results.length > 0 ? cleanMovieData(mergeMovieData(results, this.mergeOptions)) : null;
+    const ambiguity = await this.getAmbiguity(query, automatic, minConfidence);
+    if (!ambiguity) {
+      return { results, chosen: false, skipped: false };
+    }
+
+    const candidates = await this.findCandidates(query);
+    if (spinner) spinner.stop();
+    const choice = await promptMatchChoice(query, candidates, ambiguity);
+    if (spinner) spinner.start();
+
+    if (mappings) {
+      await mappings.set(query, choice);
+    }
+
+    if (choice.skip) {
+      return { results: [], chosen: true, skipped: true };
+    }
+    if (automatic && automatic.imdb_id === choice.imdb_id) {
+      return { results, chosen: true, skipped: false };
+    }
+    return { results: await this.searchMoviesByImdbId(choice.imdb_id, { errors }), chosen: true, skipped: false };
+  }
+
+  /**
+   * Keep only provider results that describe the same movie, judged by imdb_id.
+   * TMDB's scored pick is the anchor; an OMDB result for a different movie is
+   * replaced by an OMDB lookup of the anchor's IMDb ID.
+   * @param {Array} results - Normalized results from different providers
+   * @param {string} label - Query label for log messages
+   * @returns {Promise<Array>} Results safe to merge
+   */
+  async reconcileResults(results, label) {
+    if (results.length < 2) {
+      return results;
+    }
+
+    const anchor = results.find(result => result.source === 'TMDB' && result.imdb_id) ||
+      results.find(result => result.imdb_id);
+    if (!anchor) {
+      return results.slice(0, 1);
+    }
+
+    const reconciled = [];
+    for (const result of results) {
+      if (result === anchor || result.imdb_id === anchor.imdb_id) {
+        reconciled.push(result);
+        continue;
+      }
+
+      console.warn(chalk.yellow(`${result.source} match for "${label}" (${result.imdb_id || 'no IMDb ID'}) differs from ${anchor.source} (${anchor.imdb_id}); not merging`));
+
+      if (result.source === 'OMDB' && this.omdbApi) {
+        try {
+          const omdbData = await this.omdbApi.getMovieDetails(anchor.imdb_id);
+          const normalized = this.omdbApi.normalizeMovieData(omdbData);
+          if (normalized) reconciled.push(normalized);
+        } catch (error) {
+          // Keep the anchor's data only
+        }
+      }
+    }
+
+    // Stable provider order (OMDB, TMDB, IMDB); merge precedence is decided per field
+    const order = ['OMDB', 'TMDB', 'IMDB'];
+    return reconciled.sort((a, b) => order.indexOf(a.source) - order.indexOf(b.source));
+  }
+
+  /**
+   * Convert discover filters to TMDB discover parameters for movies or series. Names of genres,
+   * keywords, people, companies and watch providers are looked up; unknown names are an error.
+   * @param {Object} filters - Discover filters
+   * @param {string} mediaType - movie or tv
+   * @returns {Promise<Object>} TMDB parameters
+   */
+  async buildTmdbDiscoverFilters(filters, mediaType = 'movie') {
+    const tmdbFilters = {};
+    const label = mediaType === 'tv' ? 'series' : 'movies';
+
+    // Series are filtered by the date they first aired
+    const dateField = TMDB_DATE_FIELDS[mediaType];
+    if (filters.startDate) {
+      tmdbFilters[`${dateField}.gte`] = filters.startDate;
+    }
+    if (filters.endDate) {
+      tmdbFilters[`${dateField}.lte`] = filters.endDate;
+    }
+
+    if (filters.sortBy) {
+      tmdbFilters.sort_by = getTmdbSortBy(filters.sortBy, mediaType);
+    }
+    
+    // Handle country filter - use production countries instead of origin country
+    if (filters.country) {
+      const countryCode = filters.country.toUpperCase();
+      // Try multiple country-related parameters
+      tmdbFilters.with_origin_country = countryCode;
+      tmdbFilters.region = countryCode;
+      console.log(chalk.blue(`Searching for ${label} from country: ${countryCode}`));
+    }
+
+    DISCOVER_RANGES.forEach(range => {
+      const value = filters[range.filter];
+      if (value === null || value === undefined) return;
+      if (typeof value !== 'number' || isNaN(value)) {
+        throw new Error(`Invalid ${range.option} "${value}". Use a number`);
+      }
+      tmdbFilters[range.param] = value;
+    });
+
+    if (filters.originalLanguage) {
+      tmdbFilters.with_original_language = filters.originalLanguage.toLowerCase();
+    }
+
+    if (filters.genre) {
+      const genreMap = await this.getTmdbGenreMap(mediaType);
+
+      // Movies and series have their own genres (series have "Action & Adventure", not "Action"):
+      // with both, genres only the other type knows are left out of this type's filter
+      const names = [].concat(filters.genre).flatMap(value => String(value).split('|')).map(name => name.trim()).filter(Boolean);
+      const unknown = names.filter(name => !/^\d+$/.test(name) && !genreMap[normalizeGenre(name)]);
+      const otherTypes = this.getTmdbMediaTypes(filters.titleType).filter(type => type !== mediaType);
+      let knownElsewhere = false;
+      if (unknown.length > 0 && otherTypes.length > 0) {
+        const otherMaps = await Promise.all(otherTypes.map(type => this.getTmdbGenreMap(type)));
+        knownElsewhere = unknown.every(name => otherMaps.some(map => map[normalizeGenre(name)]));
+      }
+
+      // Separate values (all must match) and "|" alternatives keep their meaning for the genres left
+      let genres = filters.genre;
+      if (knownElsewhere) {
+        genres = [].concat(filters.genre)
+          .map(value => String(value).split('|').map(name => name.trim()).filter(name => name && !unknown.includes(name)).join('|'))
+          .filter(Boolean);
+        console.warn(chalk.yellow(genres.length > 0
+          ? `TMDB has no ${label} genre ${unknown.map(name => `"${name}"`).join(', ')}; ${label} are only filtered by ${genres.join(', ')}`
+          : `TMDB has no ${label} genre ${unknown.map(name => `"${name}"`).join(', ')}; --genre does not narrow down ${label}`));
+      }
+
+      if (genres.length > 0) {
+        tmdbFilters.with_genres = await this.resolveTmdbIdList('genre', genres, async (name) => {
+          if (!genreMap[normalizeGenre(name)]) {
+            throw new Error(`Genre "${name}" not found. Available genres: ${Object.keys(genreMap).join(', ')}`);
+          }
+          return genreMap[normalizeGenre(name)];
+        });
+      }
+    }
+
+    if (filters.keywords) {
+      tmdbFilters.with_keywords = await this.resolveTmdbIdList('keyword', filters.keywords, name => this.resolveTmdbKeywordId(name));
+    }
+    
+    if (filters.companyIds && filters.companyIds.length > 0) {
+      tmdbFilters.with_companies = filters.companyIds.join('|');
+    }
+
+    if (filters.companies) {
+      tmdbFilters.with_companies = await this.resolveTmdbIdList('company', filters.companies, async (name) => {
+        const [company] = await this.resolveTmdbCompanies({ names: [name], country: filters.country });
+        return company ? company.id : null;
+      });
+    }
+
+    // TMDB can only filter movies by cast, crew and certification
+    const movieOnly = [
+      { filter: 'cast', option: '--cast', param: 'with_cast' },
+      { filter: 'crew', option: '--crew', param: 'with_crew' }
+    ];
+    for (const { filter, option, param } of movieOnly) {
+      if (!filters[filter]) continue;
+      if (mediaType === 'tv') {
+        console.warn(chalk.yellow(`TMDB cannot filter series by ${filter}; ${option} only applies to movies`));
+        continue;
+      }
+      tmdbFilters[param] = await this.resolveTmdbIdList('person', filters[filter], name => this.resolveTmdbPersonId({ name }));
+    }
+
+    if (filters.certification) {
+      if (mediaType === 'tv') {
+        console.warn(chalk.yellow('TMDB cannot filter series by certification; --certification only applies to movies'));
+      } else {
+        tmdbFilters.certification_country = (filters.certificationCountry || filters.country || 'US').toUpperCase();
+        tmdbFilters.certification = [].concat(filters.certification).join('|');
+      }
+    }
+
+    if (filters.watchRegion) {
+      tmdbFilters.watch_region = filters.watchRegion.toUpperCase();
+      tmdbFilters.with_watch_monetization_types = parseOfferTypes(filters.monetization).join('|');
+    }
+
+    if (filters.watchProviders) {
+      if (!filters.watchRegion) {
+        throw new Error('--watch-providers needs --watch-region: TMDB only knows providers per country');
+      }
+      // Any of the providers will do
+      const providers = [].concat(filters.watchProviders).join('|');
+      tmdbFilters.with_watch_providers = await this.resolveTmdbIdList('watch provider', providers,
+        name => this.resolveTmdbWatchProviderId(name, mediaType, filters.watchRegion));
+    }
+
+    return tmdbFilters;
+  }
+
+  /**
+   * Turn names and/or IDs into a TMDB ID list. Separate values must all match (joined with ","),
+   * values joined with "|" in a single argument match any of them (kept joined with "|").
+   * @param {string} kind - What is looked up, for messages (genre, keyword, person, ...)
+   * @param {Array|string} values - Names and/or numeric IDs
+   * @param {Function} resolve - Async name => TMDB ID, or null when nothing matches
+   * @returns {Promise<string|null>} IDs as TMDB expects them, or null without values
+   */
+  async resolveTmdbIdList(kind, values, resolve) {
+    const groups = [].concat(values || [])
+      .map(value => String(value).split('|').map(part => part.trim()).filter(Boolean))
+      .filter(group => group.length > 0);
+
+    if (groups.length === 0) return null;
+    if (groups.length > 1 && groups.some(group => group.length > 1)) {
+      throw new Error(`Give each ${kind} as a separate value (all must match) or join them with | (any may match), not both`);
+    }
+
+    const ids = [];
+    for (const value of groups.flat()) {
+      if (/^\d+$/.test(value)) {
+        ids.push(value);
+        continue;
+      }
+
+      const id = await resolve(value);
+      if (!id) {
+        throw new Error(`No TMDB ${kind} found for "${value}"`);
+      }
+      console.log(chalk.blue(`Using ${kind} "${value}" (ID: ${id})`));
+      ids.push(id);
+    }
+
+    return ids.join(groups.length > 1 ? ',' : '|');
+  }
+
+  /**
+   * TMDB keyword ID for a name: the exact match, else the first search result
+   * @param {string} name - Keyword, e.g. "based on novel or book"
+   * @returns {Promise<number|null>} Keyword ID
+   */
+  async resolveTmdbKeywordId(name) {
+    const searchResult = await this.tmdbApi.searchKeywords(name);
+    const results = searchResult.results || [];
+    const exact = results.find(keyword => keyword.name.toLowerCase() === name.toLowerCase());
+    const best = exact || results[0];
+
+    if (best && !exact) {
+      console.warn(chalk.yellow(`No keyword is exactly "${name}"; using "${best.name}"`));
+    }
+    return best ? best.id : null;
+  }
+
+  /**
+   * TMDB watch provider ID for a name in a country, e.g. "Netflix" or "Disney Plus"
+   * @param {string} name - Provider name
+   * @param {string} mediaType - movie or tv
+   * @param {string} region - ISO 3166-1 country code
+   * @returns {Promise<number>} Provider ID
+   */
+  async resolveTmdbWatchProviderId(name, mediaType, region) {
+    const response = await this.tmdbApi.getWatchProviderList(mediaType, region);
+    const providers = response.results || [];
+    const wanted = normalizeTitle(name);
+    const match = providers.find(provider => normalizeTitle(provider.provider_name) === wanted) ||
+      providers.find(provider => normalizeTitle(provider.provider_name).startsWith(wanted));
+
+    if (!match) {
+      throw new Error(`Watch provider "${name}" not found in ${region.toUpperCase()}. Available providers: ${providers.map(provider => provider.provider_name).join(', ')}`);
+    }
+    return match.provider_id;
+  }
+
+  /**
+   * TMDB genre IDs by lower-case name. Names are in the configured language, and also in the
+   * fallback language so "Drama" still works with --language pl-PL. Movies and series have their own lists.
+   * @param {string} mediaType - movie or tv
+   * @returns {Promise<Object>} Genre name to ID
+   */
+  async getTmdbGenreMap(mediaType = 'movie') {
+    const genreMap = {};
+    const { language, fallbackLanguage } = this.tmdbApi;
+    const languages = fallbackLanguage && fallbackLanguage !== language ? [language, fallbackLanguage] : [language];
+
+    for (const code of languages) {
+      const response = await this.tmdbApi.getGenres(mediaType, { language: code });
+      (response.genres || []).forEach(genre => {
+        const name = genre.name.toLowerCase();
+        if (!(name in genreMap)) genreMap[name] = genre.id;
+      });
+    }
+
+    return genreMap;
+  }
+
+  /**
+   * Limit discover parameters to a date window
+   * @param {Object} filtersByType - TMDB parameters keyed by media type (movie, tv)
+   * @param {Object} window - start and end date (YYYY-MM-DD, inclusive)
+   * @returns {Object} Parameters with the window's release (or first air) dates
+   */
+  applyDateWindow(filtersByType, window) {
+    const windowed = {};
+    Object.keys(filtersByType).forEach(mediaType => {
+      const dateField = TMDB_DATE_FIELDS[mediaType];
+      windowed[mediaType] = {
+        ...filtersByType[mediaType],
+        [`${dateField}.gte`]: window.start,
+        [`${dateField}.lte`]: window.end
+      };
+    });
+    return windowed;
+  }
+
+  /**
+   * Fetch one discover page for each media type and combine them
+   * @param {Object} filtersByType - TMDB parameters keyed by media type (movie, tv)
+   * @param {number} page - Page number
+   * @returns {Promise<Object>} results (tagged with media_type), total_results, total_pages (the largest),
+   *   and partial: true when no media type returned a full page
+   */
+  async discoverTmdbPage(filtersByType, page) {
+    const combined = { results: [], total_results: 0, total_pages: 0, partial: true };
+
+    for (const mediaType of Object.keys(filtersByType)) {
+      const params = { ...filtersByType[mediaType], page };
+      const result = mediaType === 'tv' ? await this.tmdbApi.discoverTv(params) : await this.tmdbApi.discoverMovies(params);
+      const results = result.results || [];
+
+      combined.results.push(...results.map(item => ({ ...item, media_type: mediaType })));
+      combined.total_results += result.total_results || 0;
+      combined.total_pages = Math.max(combined.total_pages, result.total_pages || 0);
+      if (results.length >= 20 && page < (result.total_pages || 0)) combined.partial = false;
+    }
+
+    return combined;
+  }
+
+  /**
+   * Discover movies page by page through TMDB. TMDB serves at most 500 pages per query; when more
+   * pages are wanted (`maxPages` above 500, or "all") and a query has more, its date range is split
+   * into halves, recursively down to single days, until each window fits.
+   * @param {Object} filters - Discover filters
+   * @param {Function} onProgress - Called after each processed batch with progress info
+   * @param {Object} options - checkpoint: Checkpoint to save to / resume from;
+   *   onBatch: async (movies, { page }) callback receiving each page's movies, which are then
+   *   not kept in memory; checkpointData: function returning extra state to save with the checkpoint
+   * @returns {Promise<Array>} Discovered movies (empty when onBatch consumes them)
+   */
+  async discoverMovies(filters = {}, onProgress = null, options = {}) {
+    const { checkpoint = null, onBatch = null, checkpointData = null } = options;
+
+    // Convert filters to TMDB format, separately for movies and series. Done first so
+    // a misspelled genre, keyword or name stops the run before anything is fetched.
+    const filtersByType = {};
+    if (this.tmdbApi) {
+      for (const mediaType of this.getTmdbMediaTypes(filters.titleType || 'movie')) {
+        filtersByType[mediaType] = await this.buildTmdbDiscoverFilters(filters, mediaType);
+      }
+    }
+
     const results = [];
     const spinner = ora('Discovering movies...').start();
     let totalResults = 0;
+    let discoveredCount = 0;
+    let batchError = null;
+    let fetchError = null;
+
+    // Date windows still to fetch, the current one first; null is the query as given
+    let windows = [null];
+    let page = 1;
+    let pagesFetched = 0;
+    let windowsCompleted = 0;
+    // Titles already fetched ("movie:603"); windows do not overlap, but TMDB data changes during long runs
+    let seen = new Set();
+
+    // Pick up where a previous run stopped
+    const savedState = checkpoint && checkpoint.state;
+    if (savedState && savedState.type === 'discover') {
+      results.push(...(savedState.movies || []));
+      totalResults = savedState.totalResults || 0;
+      discoveredCount = savedState.discoveredCount || results.length;
+      windows = savedState.windows || [null];
+      page = savedState.nextPage || 1;
+      pagesFetched = savedState.pagesFetched !== undefined ? savedState.pagesFetched : page - 1;
+      windowsCompleted = savedState.windowsCompleted || 0;
+      seen = new Set(savedState.seenIds || []);
+
+      if (savedState.completed) {
+        spinner.succeed(`Loaded ${discoveredCount} movies from completed checkpoint`);
+        return results;
+      }
+
+      console.log(chalk.blue(`Resuming from page ${page}${windows[0] ? ` of ${windows[0].start} to ${windows[0].end}` : ''} with ${discoveredCount} movies already fetched`));
+    }
+
+    const saveCheckpoint = async (completed = false) => {
+      if (!checkpoint) return;
+      try {
+        await checkpoint.save({
+          type: 'discover',
+          filters,
+          windows,
+          nextPage: page,
+          pagesFetched,
+          windowsCompleted,
+          totalResults,
+          completed,
+          discoveredCount,
+          seenIds: [...seen],
+          movies: results,
+          ...(checkpointData ? checkpointData() : {})
+        });
+      } catch (error) {
+        console.warn(chalk.yellow(`Failed to save checkpoint: ${error.message}`));
+      }
+    };
 
     try {
       // Use TMDB discover endpoint if available
       if (this.tmdbApi) {
         spinner.text = 'Discovering movies from TMDB...';
-        
-        // Convert filters to TMDB format
-        const tmdbFilters = {};
-        
-        if (filters.startDate) {
-          tmdbFilters['primary_release_date.gte'] = filters.startDate;
-        }
-        if (filters.endDate) {
-          tmdbFilters['primary_release_date.lte'] = filters.endDate;
-        }
-        
-        // Handle country filter - use production countries instead of origin country
-        if (filters.country) {
-          const countryCode = filters.country.toUpperCase();
-          // Try multiple country-related parameters
-          tmdbFilters.with_origin_country = countryCode;
-          tmdbFilters.region = countryCode;
-          console.log(chalk.blue(`Searching for movies from country: ${countryCode}`));
-        }
-        
-        if (filters.genre) {
-          // First get genres to map name to ID
-          try {
-            const genresResponse = await this.tmdbApi.getGenres();
-            const genreMap = {};
-            genresResponse.genres.forEach(g => {
-              genreMap[g.name.toLowerCase()] = g.id;
-            });
-            
-            const genreId = genreMap[filters.genre.toLowerCase()];
-            if (genreId) {
-              tmdbFilters.with_genres = genreId;
-              console.log(chalk.blue(`Filtering by genre: ${filters.genre} (ID: ${genreId})`));
-            } else {
-              console.warn(chalk.yellow(`Genre "${filters.genre}" not found. Available genres: ${Object.keys(genreMap).join(', ')}`));
-            }
-          } catch (error) {
-            console.warn(chalk.yellow(`Failed to fetch genres: ${error.message}`));
-          }
-        }
 
-        // Remove hard limit for large datasets
-        const maxPages = Math.min(filters.maxPages || 500, 500); // Allow up to 500 pages (10,000 movies)
+        const maxPages = filters.maxPages === 'all' ? Infinity : (filters.maxPages || TMDB_MAX_PAGES);
+        // Slicing only pays off when more pages are wanted than one query can give
+        const canSlice = maxPages > TMDB_MAX_PAGES;
         let consecutiveEmptyPages = 0;
+        let consecutiveFailures = 0;
         
-        console.log(chalk.blue(`Searching with filters:`, JSON.stringify(tmdbFilters, null, 2)));
+        console.log(chalk.blue(`Searching with filters:`, JSON.stringify(filtersByType, null, 2)));
         
-        for (let page = 1; page <= maxPages; page++) {
+        while (windows.length > 0 && pagesFetched < maxPages) {
+          const window = windows[0];
+          const windowLabel = window ? `${window.start} to ${window.end}` : null;
+
           try {
-            tmdbFilters.page = page;
-            const discoverResult = await this.tmdbApi.discoverMovies(tmdbFilters);
-            
-            if (discoverResult.total_results) {
+            const discoverResult = await this.discoverTmdbPage(window ? this.applyDateWindow(filtersByType, window) : filtersByType, page);
+            consecutiveFailures = 0;
+
+            // More results than TMDB pages through: probe the two halves of the date range instead
+            if (page === 1 && canSlice && discoverResult.total_pages > TMDB_MAX_PAGES) {
+              const halves = splitDateWindow(window || {
+                start: filters.startDate || DISCOVER_EARLIEST_DATE,
+                end: filters.endDate || `${new Date().getFullYear() + 10}-12-31`
+              });
+
+              if (halves) {
+                if (!window) totalResults = discoverResult.total_results;
+                windows.splice(0, 1, ...halves);
+                console.log(chalk.blue(`${discoverResult.total_results} results${windowLabel ? ` from ${windowLabel}` : ''} are more than TMDB pages through; splitting into ${halves.map(half => `${half.start} to ${half.end}`).join(' and ')}`));
+                continue;
+              }
+              console.warn(chalk.yellow(`${discoverResult.total_results} results on ${window.start} alone; only the first ${TMDB_MAX_PAGES} pages can be fetched`));
+            }
+
+            const windowPages = Math.min(discoverResult.total_pages || 0, TMDB_MAX_PAGES);
+            if (!window && discoverResult.total_results) {
               totalResults = discoverResult.total_results;
-              spinner.text = `Found ${totalResults} total movies, processing page ${page}/${Math.min(discoverResult.total_pages || maxPages, maxPages)}`;
             }
+            spinner.text = `Found ${totalResults} total movies, processing ${windowLabel ? `${windowLabel} (${windowsCompleted} windows done, ${windows.length - 1} to go), ` : ''}page ${page}/${Math.min(windowPages, maxPages)}`;
             
             if (discoverResult.results && discoverResult.results.length > 0) {
               consecutiveEmptyPages = 0;
+              const pageResults = [];
+
+              const fresh = discoverResult.results.filter(movie => {
+                const key = `${movie.media_type}:${movie.id}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+              });
               
               // Process movies in batches to avoid memory issues
               const batchSize = 5; // Process 5 movies at a time
-              for (let i = 0; i < discoverResult.results.length; i += batchSize) {
-                const batch = discoverResult.results.slice(i, i + batchSize);
+              for (let i = 0; i < fresh.length; i += batchSize) {
+                const batch = fresh.slice(i, i + batchSize);
                 
                 // Process batch in parallel for better performance
                 const batchPromises = batch.map(async (movie) => {
+                  const title = movie.title || movie.name;
                   try {
-                    spinner.text = `Processing: ${movie.title} (${movie.release_date || 'Unknown year'})`;
+                    spinner.text = `Processing: ${title} (${movie.release_date || movie.first_air_date || 'Unknown year'})`;
                     
-                    // Get detailed movie information
-                    const movieDetails = await this.tmdbApi.getMovieDetails(movie.id);
-                    const normalized = this.tmdbApi.normalizeMovieData(movieDetails);
+                    // Get detailed movie (or series) information
+                    const normalized = await this.fetchTmdbTitle(movie);
                     
                     if (normalized) {
-                      // For country filtering, trust TMDB's API-level filtering since it's more accurate
-                      // Only apply additional date filtering if needed
+                      // For country and genre filtering, trust TMDB's API-level filtering since it's more accurate
+                      // (genre names may also be in another language). Only apply additional date filtering if needed
                       const dateOnlyFilters = { ...filters };
-                      if (filters.country) {
-                        delete dateOnlyFilters.country; // Trust TMDB's country filtering
-                      }
+                      delete dateOnlyFilters.country;
+                      delete dateOnlyFilters.genre;
                       
                       if (matchesFilters(normalized, dateOnlyFilters)) {
                         return normalized;
@@ -197,103 +1055,664 @@ class MovieFetcher {
                     }
                     return null;
                   } catch (error) {
-                    console.warn(chalk.yellow(`Failed to process movie ${movie.title}: ${error.message}`));
+                    console.warn(chalk.yellow(`Failed to process ${title}: ${error.message}`));
                     return null;
                   }
                 });
                 
                 const batchResults = await Promise.all(batchPromises);
                 const validResults = batchResults.filter(result => result !== null);
-                results.push(...validResults);
+                pageResults.push(...validResults);
                 
                 // Progress callback for external monitoring
                 if (onProgress) {
                   onProgress({
                     page,
-                    totalPages: Math.min(discoverResult.total_pages || maxPages, maxPages),
-                    currentResults: results.length,
-                    totalResults: totalResults
+                    totalPages: Math.min(windowPages, maxPages),
+                    currentResults: discoveredCount + pageResults.length,
+                    totalResults: totalResults,
+                    window: windowLabel,
+                    windowsCompleted,
+                    windowsPending: windows.length - 1
                   });
                 }
                 
                 // Reduced rate limiting for better performance
                 await new Promise(resolve => setTimeout(resolve, 50));
               }
+
+              // Hand the page to the consumer instead of keeping it in memory
+              if (onBatch) {
+                try {
+                  await onBatch(pageResults, { page });
+                } catch (error) {
+                  batchError = error;
+                  break;
+                }
+              } else {
+                results.push(...pageResults);
+              }
+              discoveredCount += pageResults.length;
             } else {
               consecutiveEmptyPages++;
               console.log(chalk.yellow(`Page ${page} returned no results`));
             }
 
-            // Break if we've reached the end or hit too many empty pages
-            if (!discoverResult.results || 
-                discoverResult.results.length < 20 || 
+            // The window is done when it runs out of pages or hits too many empty ones
+            const isLastPage = !discoverResult.results || 
+                discoverResult.partial || 
                 consecutiveEmptyPages >= 3 ||
-                page >= (discoverResult.total_pages || 0)) {
-              console.log(chalk.blue(`Stopping at page ${page}. Reason: ${
-                !discoverResult.results ? 'No results' :
-                discoverResult.results.length < 20 ? 'Partial page' :
-                consecutiveEmptyPages >= 3 ? 'Too many empty pages' :
-                'Reached total pages'
-              }`));
-              break;
+                page >= windowPages;
+            const reason = !discoverResult.results ? 'No results' :
+              discoverResult.partial ? 'Partial page' :
+              consecutiveEmptyPages >= 3 ? 'Too many empty pages' :
+              'Reached total pages';
+
+            pagesFetched++;
+            if (isLastPage) {
+              windows.shift();
+              windowsCompleted++;
+              page = 1;
+              consecutiveEmptyPages = 0;
+            } else {
+              page++;
+            }
+
+            await saveCheckpoint(windows.length === 0 || pagesFetched >= maxPages);
+
+            if (isLastPage) {
+              console.log(chalk.blue(window
+                ? `Finished ${windowLabel} (${windowsCompleted} windows done, ${windows.length} to go, ~${totalResults} movies in total). Reason: ${reason}`
+                : `Stopping at page ${pagesFetched}. Reason: ${reason}`));
             }
             
           } catch (error) {
-            console.warn(chalk.yellow(`Failed to fetch page ${page}: ${error.message}`));
-            consecutiveEmptyPages++;
-            if (consecutiveEmptyPages >= 3) {
-              console.log(chalk.red(`Stopping due to consecutive failures`));
+            console.warn(chalk.yellow(`Failed to fetch page ${page}${windowLabel ? ` of ${windowLabel}` : ''}: ${error.message}`));
+            consecutiveFailures++;
+            if (consecutiveFailures >= 3) {
+              // The checkpoint points at the failed page, so --resume carries on from there
+              fetchError = new Error(`Stopped after ${consecutiveFailures} failed page fetches at page ${page}${windowLabel ? ` of ${windowLabel}, ${windows.length} date window(s) left` : ''}; resume from the checkpoint with --resume`);
               break;
             }
+            // Page 1 decides whether the window has to be split, so it is retried rather than skipped
+            if (page > 1 || !canSlice) {
+              page++;
+              pagesFetched++;
+            }
           }
         }
+
+        if (!batchError && windows.length > 0 && pagesFetched >= maxPages) {
+          console.log(chalk.yellow(`Stopped at --max-pages ${maxPages} of ${totalResults} total matches; use --max-pages all to fetch all of them`));
+        }
       }
 
-      spinner.succeed(`Discovered ${results.length} movies${totalResults > 0 ? ` from ${totalResults} total matches` : ''}`);
+      if (batchError) {
+        throw batchError;
+      }
+
+      if (fetchError) {
+        await saveCheckpoint(false);
+        throw fetchError;
+      }
+
+      spinner.succeed(`Discovered ${discoveredCount} movies${totalResults > 0 ? ` from ${totalResults} total matches` : ''}${windowsCompleted > 1 ? ` in ${windowsCompleted} date windows` : ''}`);
       return results;
 
     } catch (error) {
       spinner.fail(`Discovery failed: ${error.message}`);
+      if (error === batchError || error === fetchError) {
+        throw error;
+      }
       console.error(chalk.red('Full error:'), error);
       return [];
     }
   }
 
-  async fetchMoviesByTitles(titles, filters = {}) {
-    const allResults = [];
+  /**
+   * Search a list of titles through a bounded worker pool
+   * @param {Array} titles - Movie titles
+   * @param {Object} filters - Filters matched against the merged movie
+   * @param {Object} options - checkpoint: Checkpoint to save to / resume from;
+   *   concurrency: number of titles searched in parallel (default: 1);
+   *   minConfidence: matches below it go to the review report (default: 0.7);
+   *   matchReport: array that receives unmatched, failed, skipped and low-confidence queries;
+   *   mappings: TitleMappings with remembered choices; interactive: ask when a match is ambiguous
+   * @returns {Promise<Array>} Matching movies, in the order of titles
+   */
+  async fetchMoviesByTitles(titles, filters = {}, options = {}) {
+    const { checkpoint = null, concurrency = 1, matchReport = null, mappings = null, interactive = false } = options;
+    const minConfidence = options.minConfidence !== undefined ? options.minConfidence : DEFAULT_MIN_CONFIDENCE;
+    const savedMovies = [];
+    const savedReport = [];
+    let startIndex = 0;
+
+    // Pick up where a previous run stopped
+    const savedState = checkpoint && checkpoint.state;
+    if (savedState && savedState.type === 'titles') {
+      savedMovies.push(...(savedState.movies || []));
+      savedReport.push(...(savedState.matchReport || []));
+      startIndex = savedState.nextIndex || 0;
+      console.log(chalk.blue(`Resuming at title ${startIndex + 1}/${titles.length} with ${savedMovies.length} movies already fetched`));
+    }
+
+    const pendingTitles = titles.slice(startIndex);
+    const outcomes = new Array(pendingTitles.length).fill(null);
+    const reportEntries = new Array(pendingTitles.length).fill(null);
+    const done = new Array(pendingTitles.length).fill(false);
+    let finishedCount = 0;
+    let contiguousCount = 0; // Titles finished without gaps from the start, safe to checkpoint
+
+    const collectResults = (count) => [...savedMovies, ...outcomes.slice(0, count).filter(Boolean)];
+    const collectReport = (count) => [...savedReport, ...reportEntries.slice(0, count).filter(Boolean)];
+
+    const saveCheckpoint = async () => {
+      if (!checkpoint) return;
+      const nextIndex = startIndex + contiguousCount;
+      try {
+        await checkpoint.save({
+          type: 'titles',
+          titles,
+          filters,
+          nextIndex,
+          completed: nextIndex >= titles.length,
+          movies: collectResults(contiguousCount),
+          matchReport: collectReport(contiguousCount)
+        });
+      } catch (error) {
+        console.warn(chalk.yellow(`Failed to save checkpoint: ${error.message}`));
+      }
+    };
+
     const spinner = ora().start();
+    if (concurrency > 1) {
+      console.log(chalk.blue(`Searching ${concurrency} titles in parallel`));
+    }
 
-    for (let i = 0; i < titles.length; i++) {
-      const title = titles[i];
-      spinner.text = `Processing ${i + 1}/${titles.length}: ${title}`;
+    await mapWithConcurrency(pendingTitles, concurrency, async (line, index) => {
+      const query = typeof line === 'string' ? parseTitleQuery(line) : line;
+      const title = formatTitleQuery(query);
+
+      if (concurrency === 1) {
+        spinner.text = `Processing ${startIndex + index + 1}/${titles.length}: ${title}`;
+      }
+
+      const reportEntry = (status, movie = null, reason = null) => ({
+        query: query.title,
+        query_year: query.year,
+        status,
+        matched_title: movie ? movie.title : null,
+        matched_year: movie ? movie.release_year : null,
+        imdb_id: movie ? movie.imdb_id : null,
+        tmdb_id: movie ? movie.tmdb_id : null,
+        match_confidence: movie ? movie.match_confidence : null,
+        match_reason: reason
+      });
 
       try {
-        const movieResults = await this.searchMoviesByTitle(title);
+        const errors = [];
+        const resolved = await this.resolveQuery(query, {
+          mappings,
+          interactive,
+          minConfidence,
+          silent: concurrency > 1,
+          errors,
+          spinner
+        });
+        const movieResults = resolved.results;
         
         // Merge results from different APIs for the same movie
-        if (movieResults.length > 0) {
-          const mergedMovie = mergeMovieData(movieResults);
+        if (resolved.skipped) {
+          reportEntries[index] = reportEntry('skipped', null, 'skipped in title mappings');
+        } else if (movieResults.length > 0) {
+          this.conflictDetector.check(movieResults);
+          const mergedMovie = mergeMovieData(movieResults, this.mergeOptions);
           const cleanedMovie = cleanMovieData(mergedMovie);
+
+          if (cleanedMovie) {
+            const match = resolved.chosen
+              ? { confidence: 1, reason: 'chosen in title mappings' }
+              : computeMatchConfidence(query, cleanedMovie);
+            cleanedMovie.match_confidence = match.confidence;
+            cleanedMovie.match_reason = match.reason;
+
+            if (match.confidence < minConfidence) {
+              reportEntries[index] = reportEntry('low_confidence', cleanedMovie, match.reason);
+            }
+          }
           
           if (cleanedMovie && matchesFilters(cleanedMovie, filters)) {
-            allResults.push(cleanedMovie);
+            outcomes[index] = cleanedMovie;
           }
+        } else if (errors.length > 0) {
+          reportEntries[index] = reportEntry('failed', null, errors.join('; '));
+        } else {
+          reportEntries[index] = reportEntry('not_found');
         }
-
-        // Add delay between requests to respect rate limits
-        if (i < titles.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
-
       } catch (error) {
         console.warn(chalk.yellow(`Failed to fetch "${title}": ${error.message}`));
+        reportEntries[index] = reportEntry('failed', null, error.message);
+      }
+
+      done[index] = true;
+      finishedCount++;
+      while (contiguousCount < pendingTitles.length && done[contiguousCount]) {
+        contiguousCount++;
+      }
+
+      if (concurrency > 1) {
+        spinner.text = `Processed ${startIndex + finishedCount}/${titles.length}: ${title}`;
       }
+
+      // Save every few titles to keep checkpoint writes cheap on long lists
+      if (finishedCount % CHECKPOINT_INTERVAL === 0) {
+        await saveCheckpoint();
+      }
+    });
+
+    await saveCheckpoint();
+
+    const allResults = collectResults(pendingTitles.length);
+    if (matchReport) {
+      matchReport.push(...collectReport(pendingTitles.length));
     }
 
     spinner.succeed(`Processed ${titles.length} titles, found ${allResults.length} matching movies`);
     return allResults;
   }
 
+  /**
+   * Resolve production companies by TMDB ID or name
+   * @param {Object} identifier - ids: TMDB company IDs; names: company names
+   * @returns {Promise<Array>} Companies with id, name and origin_country
+   */
+  async resolveTmdbCompanies(identifier) {
+    const companies = [];
+
+    for (const id of identifier.ids || []) {
+      try {
+        const company = await this.tmdbApi.getCompanyDetails(id);
+        companies.push({ id: company.id, name: company.name, origin_country: company.origin_country || null });
+      } catch (error) {
+        console.warn(chalk.yellow(`Company ${id} not found: ${error.message}`));
+      }
+    }
+
+    for (const name of identifier.names || []) {
+      const searchResult = await this.tmdbApi.searchCompanies(name);
+      const results = searchResult.results || [];
+
+      // Several companies often share a name; prefer exact matches, then the requested country
+      const exactMatches = results.filter(company => normalizeTitle(company.name) === normalizeTitle(name));
+      const candidates = exactMatches.length > 0 ? exactMatches : results;
+      const inCountry = identifier.country
+        ? candidates.filter(company => company.origin_country === identifier.country.toUpperCase())
+        : [];
+      const best = inCountry[0] || candidates[0];
+
+      if (!best) {
+        console.warn(chalk.yellow(`No company found for "${name}"`));
+        continue;
+      }
+
+      if (candidates.length > 1 && inCountry.length !== 1) {
+        const others = candidates.filter(company => company !== best).slice(0, 5)
+          .map(company => `${company.name} (${company.origin_country || '??'}, ID ${company.id})`).join(', ');
+        console.warn(chalk.yellow(`"${name}" matches several companies; using ${best.name} (${best.origin_country || '??'}, ID ${best.id}). Others: ${others}. Use --id or --company-country to pick another.`));
+      }
+
+      companies.push({ id: best.id, name: best.name, origin_country: best.origin_country || null });
+    }
+
+    return companies;
+  }
+
+  /**
+   * Find a person's TMDB ID from a TMDB ID, an IMDb ID or a name
+   * @param {Object} identifier - tmdbId, imdbId or name
+   * @returns {Promise<number|null>} TMDB person ID, or null if not found
+   */
+  async resolveTmdbPersonId(identifier) {
+    if (identifier.tmdbId) {
+      return parseInt(identifier.tmdbId);
+    }
+
+    if (identifier.imdbId) {
+      const found = await this.tmdbApi.findByImdbId(identifier.imdbId);
+      return found.person_results && found.person_results.length > 0 ? found.person_results[0].id : null;
+    }
+
+    const searchResult = await this.tmdbApi.searchPeople(identifier.name);
+    const results = searchResult.results || [];
+
+    // TMDB orders by popularity; prefer exact name matches among them
+    const exactMatches = results.filter(person => normalizeTitle(person.name) === normalizeTitle(identifier.name));
+    const best = exactMatches[0] || results[0];
+    if (!best) {
+      return null;
+    }
+
+    if (exactMatches.length > 1) {
+      console.warn(chalk.yellow(`${exactMatches.length} people are named "${identifier.name}"; using the best known (TMDB ID ${best.id}, ${best.known_for_department || 'unknown department'}). Use --tmdb-id to pick another.`));
+    }
+    return best.id;
+  }
+
+  /**
+   * Split TMDB movie credits into departments
+   * @param {Object} movieCredits - `movie_credits` of a TMDB person
+   * @returns {Object} Department name (acting, directing, writing, ...) to credits, newest first
+   */
+  buildTmdbFilmography(movieCredits) {
+    const filmography = {};
+    const add = (department, credit) => {
+      if (!filmography[department]) filmography[department] = [];
+      filmography[department].push(credit);
+    };
+
+    ((movieCredits && movieCredits.cast) || []).forEach(credit => {
+      add('acting', {
+        tmdb_id: credit.id,
+        title: credit.title,
+        release_date: credit.release_date || null,
+        character: credit.character || null
+      });
+    });
+
+    ((movieCredits && movieCredits.crew) || []).forEach(credit => {
+      add((credit.department || 'crew').toLowerCase(), {
+        tmdb_id: credit.id,
+        title: credit.title,
+        release_date: credit.release_date || null,
+        job: credit.job || null
+      });
+    });
+
+    return this.sortFilmography(filmography);
+  }
+
+  /**
+   * Split IMDb name credits into departments
+   * @param {Object} creditsResult - Response of IMDBApi.getPersonCredits
+   * @returns {Object} Department name to credits, newest first
+   */
+  buildImdbFilmography(creditsResult) {
+    const filmography = {};
+    const credits = (creditsResult && (creditsResult.credits || creditsResult.titles)) || [];
+
+    credits.forEach(credit => {
+      const title = credit.title || credit;
+      if (!title.id || (title.type && !/movie/i.test(title.type))) return;
+
+      const category = (credit.category || '').toLowerCase();
+      const department = IMDB_CATEGORY_DEPARTMENTS[category] || category || 'crew';
+      const entry = {
+        imdb_id: title.id,
+        title: title.primaryTitle || title.originalTitle || null,
+        release_date: title.startYear ? String(title.startYear) : null
+      };
+
+      if (department === 'acting') {
+        entry.character = credit.characters ? credit.characters.join(', ') : null;
+      } else {
+        entry.job = category || null;
+      }
+
+      if (!filmography[department]) filmography[department] = [];
+      filmography[department].push(entry);
+    });
+
+    return this.sortFilmography(filmography);
+  }
+
+  sortFilmography(filmography) {
+    // Newest first; undated (usually announced) titles go first as well
+    Object.values(filmography).forEach(credits => {
+      credits.sort((a, b) => (b.release_date || '9999').localeCompare(a.release_date || '9999'));
+    });
+    return filmography;
+  }
+
+  /**
+   * Resolve a person and fetch full details of every movie in their filmography
+   * @param {Object} identifier - name, tmdbId or imdbId
+   * @param {Object} options - departments: departments to fetch movies for (default: acting, directing,
+   *   writing; "all" for every department); maxMovies: cap on fetched movies, newest first;
+   *   concurrency: movies fetched in parallel (default: 5)
+   * @returns {Promise<Object>} person profile (with the full filmography) and movies, or person null if not found
+   */
+  async fetchPersonFilmography(identifier, options = {}) {
+    const departments = (options.departments || DEFAULT_PERSON_DEPARTMENTS).map(department => department.toLowerCase());
+    const { maxMovies = null, concurrency = 5 } = options;
+    const label = identifier.name || identifier.tmdbId || identifier.imdbId;
+    const spinner = ora(`Looking up ${label}...`).start();
+
+    let person;
+    let filmography;
+    let fetchMovie;
+
+    if (this.tmdbApi) {
+      const personId = await this.resolveTmdbPersonId(identifier);
+      if (!personId) {
+        spinner.fail(`No person found for ${label}`);
+        return { person: null, movies: [] };
+      }
+
+      const details = await this.tmdbApi.getPersonDetails(personId);
+      person = this.tmdbApi.normalizePersonData(details);
+      filmography = this.buildTmdbFilmography(details.movie_credits);
+      fetchMovie = async (credit) => this.tmdbApi.normalizeMovieData(await this.tmdbApi.getMovieDetails(credit.tmdb_id));
+
+      // IMDb's profile fills fields TMDB lacks; the merge works on any flat record
+      if (this.imdbApi && this.enabledApis.includes('imdb') && person.imdb_id) {
+        try {
+          const imdbPerson = this.imdbApi.normalizePersonData(await this.imdbApi.getPersonDetails(person.imdb_id));
+          if (imdbPerson) {
+            person = mergeMovieData([person, imdbPerson], this.mergeOptions);
+          }
+        } catch (error) {
+          // The TMDB profile is enough to go on
+          this.warnEnrichmentFailure('IMDB', { title: person.name }, error);
+        }
+      }
+    } else if (this.imdbApi && identifier.imdbId) {
+      person = this.imdbApi.normalizePersonData(await this.imdbApi.getPersonDetails(identifier.imdbId));
+      if (!person) {
+        spinner.fail(`No person found for ${label}`);
+        return { person: null, movies: [] };
+      }
+
+      filmography = this.buildImdbFilmography(await this.imdbApi.getPersonCredits(identifier.imdbId));
+      fetchMovie = (credit) => this.fetchImdbMovie(credit.imdb_id);
+    } else {
+      spinner.fail('Person lookup failed');
+      throw new Error('Person lookup needs TMDB, or IMDB together with --imdb-id');
+    }
+
+    person.filmography = filmography;
+
+    // One movie per title, carrying every role the person had in it
+    const creditsByMovie = new Map();
+    Object.keys(filmography)
+      .filter(department => departments.includes('all') || departments.includes(department))
+      .forEach(department => {
+        filmography[department].forEach(credit => {
+          const key = credit.tmdb_id || credit.imdb_id;
+          if (!creditsByMovie.has(key)) {
+            creditsByMovie.set(key, { credit, roles: [] });
+          }
+          creditsByMovie.get(key).roles.push({
+            department,
+            job: credit.job || null,
+            character: credit.character || null
+          });
+        });
+      });
+
+    let entries = [...creditsByMovie.values()]
+      .sort((a, b) => (b.credit.release_date || '9999').localeCompare(a.credit.release_date || '9999'));
+    if (maxMovies && entries.length > maxMovies) {
+      console.log(chalk.blue(`Limiting to the ${maxMovies} newest of ${entries.length} movies`));
+      entries = entries.slice(0, maxMovies);
+    }
+
+    let fetchedCount = 0;
+    const movies = await mapWithConcurrency(entries, concurrency, async ({ credit, roles }) => {
+      try {
+        const movie = await fetchMovie(credit);
+        spinner.text = `Fetched ${++fetchedCount}/${entries.length}: ${credit.title}`;
+        if (!movie) return null;
+        movie.person_credits = roles;
+        return movie;
+      } catch (error) {
+        console.warn(chalk.yellow(`Failed to fetch "${credit.title}": ${error.message}`));
+        return null;
+      }
+    });
+
+    const found = movies.filter(Boolean);
+    spinner.succeed(`Fetched ${found.length} movies for ${person.name}`);
+    return { person, movies: found };
+  }
+
+  /**
+   * TMDB IDs of graph seeds given as titles, TMDB IDs or IMDb IDs
+   * @param {Object} seeds - titles: ["Dune (2021)", ...]; tmdbIds; imdbIds
+   * @returns {Promise<Array>} Unique TMDB movie IDs; seeds that were not found are reported and skipped
+   */
+  async resolveSeedMovies(seeds = {}) {
+    const ids = (seeds.tmdbIds || []).map(id => parseInt(id)).filter(id => !isNaN(id));
+
+    for (const imdbId of seeds.imdbIds || []) {
+      const found = await this.tmdbApi.findByImdbId(imdbId);
+      if (found.movie_results && found.movie_results.length > 0) {
+        ids.push(found.movie_results[0].id);
+      } else {
+        console.warn(chalk.yellow(`No TMDB movie found for ${imdbId}`));
+      }
+    }
+
+    for (const title of seeds.titles || []) {
+      const query = parseTitleQuery(title);
+      const match = await this.findTmdbMatch(query);
+      if (match) {
+        console.log(chalk.blue(`Seed "${formatTitleQuery(query)}": ${match.title} (${(match.release_date || '').slice(0, 4) || '?'}, TMDB ${match.id})`));
+        ids.push(match.id);
+      } else {
+        console.warn(chalk.yellow(`No TMDB movie found for "${formatTitleQuery(query)}"`));
+      }
+    }
+
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Crawl TMDB recommendation/similar links breadth-first from seed movies
+   * @param {Array} seedIds - TMDB movie IDs to start from
+   * @param {Object} options - depth: link hops from the seeds (default: 2); maxNodes: stop adding
+   *   movies at this many (default: 200); edgeTypes: lists to follow (default: recommendations and similar);
+   *   neighbors: entries taken from each list (default: 10)
+   * @returns {Promise<Object>} { nodes, edges }. Nodes are normalized movies with `depth` and `seed`;
+   *   edges are { source, target, type, rank } between TMDB IDs of nodes in the graph
+   */
+  async crawlMovieGraph(seedIds, options = {}) {
+    const {
+      depth: maxDepth = 2,
+      maxNodes = 200,
+      edgeTypes = GRAPH_EDGE_TYPES,
+      neighbors = DEFAULT_GRAPH_NEIGHBORS
+    } = options;
+
+    const unknownTypes = edgeTypes.filter(type => !GRAPH_EDGE_TYPES.includes(type));
+    if (unknownTypes.length > 0) {
+      throw new Error(`Unknown edge type(s): ${unknownTypes.join(', ')}. Available: ${GRAPH_EDGE_TYPES.join(', ')}`);
+    }
+
+    const spinner = ora('Crawling movie graph...').start();
+    const queue = seedIds.slice(0, maxNodes).map(id => ({ id, depth: 0 }));
+    const queued = new Set(queue.map(entry => entry.id));
+    const nodes = [];
+    const links = [];
+
+    while (queue.length > 0) {
+      const { id, depth } = queue.shift();
+      spinner.text = `Crawling depth ${depth}: ${nodes.length + 1}/${queued.size} movies (${links.length} links)`;
+
+      let details;
+      try {
+        details = await this.tmdbApi.getMovieDetails(id);
+      } catch (error) {
+        console.warn(chalk.yellow(`Failed to fetch TMDB movie ${id}: ${error.message}`));
+        queued.delete(id);
+        continue;
+      }
+
+      const movie = this.tmdbApi.normalizeMovieData(details);
+      nodes.push({ ...movie, depth, seed: depth === 0 });
+
+      // similar/recommendations are appended to the details, first page only
+      edgeTypes.forEach(type => {
+        const related = details[type] && details[type].results ? details[type].results.slice(0, neighbors) : [];
+        related.forEach((neighbor, index) => {
+          if (!queued.has(neighbor.id)) {
+            // Movies at the depth limit only link to movies already in the graph
+            if (depth >= maxDepth || queued.size >= maxNodes) return;
+            queued.add(neighbor.id);
+            queue.push({ id: neighbor.id, depth: depth + 1 });
+          }
+          links.push({ source: id, target: neighbor.id, type, rank: index + 1 });
+        });
+      });
+    }
+
+    // Drop links to movies that could not be fetched
+    const nodeIds = new Set(nodes.map(node => node.tmdb_id));
+    const edges = links.filter(edge => nodeIds.has(edge.source) && nodeIds.has(edge.target));
+
+    spinner.succeed(`Crawled ${nodes.length} movies and ${edges.length} links`);
+    return { nodes, edges };
+  }
+
+  /**
+   * Join results of several providers: records of the same title (same IMDb ID, or TMDB ID
+   * when there is none) are merged into one, and a provider's repeats are dropped
+   * @param {Array} records - Normalized records from any provider
+   * @returns {Array} One movie per title, in order of first appearance
+   */
+  combineProviderResults(records) {
+    const groups = new Map();
+
+    records.filter(Boolean).forEach((record, index) => {
+      const key = record.imdb_id ? `imdb:${record.imdb_id}` :
+        record.tmdb_id ? `tmdb:${record.title_type || 'movie'}:${record.tmdb_id}` :
+        `record:${index}`;
+      const group = groups.get(key) || [];
+      if (!group.some(existing => existing.source === record.source)) {
+        group.push(record);
+      }
+      groups.set(key, group);
+    });
+
+    return [...groups.values()].map(group => {
+      if (group.length === 1) return group[0];
+      this.conflictDetector.check(group);
+      return cleanMovieData(mergeMovieData(group, this.mergeOptions));
+    }).filter(Boolean);
+  }
+
+  /**
+   * Report enrichment failures that were not simply "no match"
+   * @param {string} provider - Provider name
+   * @param {Object} movie - Movie being enriched
+   * @param {Error} error - Error thrown by the provider
+   */
+  warnEnrichmentFailure(provider, movie, error) {
+    // Fatal answers such as "Movie not found!" just mean there is nothing to add
+    if (error.retryable) {
+      console.warn(chalk.yellow(`${provider} enrichment failed for "${movie.title}" after ${error.attempts} attempts: ${error.message}`));
+    }
+  }
+
   async enrichMovieData(movies) {
     const spinner = ora('Enriching movie data...').start();
     const enrichedMovies = [];
@@ -320,7 +1739,7 @@ class MovieFetcher {
                 if (normalized) enrichmentResults.push(normalized);
               }
             } catch (error) {
-              // Silently continue if enrichment fails
+              this.warnEnrichmentFailure('OMDB', movie, error);
             }
           }
 
@@ -328,13 +1747,10 @@ class MovieFetcher {
           if (this.imdbApi && this.enabledApis.includes('imdb') && 
               (!movie.sources || !movie.sources.includes('IMDB'))) {
             try {
-              const imdbData = await this.imdbApi.getMovieDetails(movie.imdb_id);
-              if (imdbData) {
-                const normalized = this.imdbApi.normalizeMovieData(imdbData);
-                if (normalized) enrichmentResults.push(normalized);
-              }
+              const normalized = await this.fetchImdbMovie(movie.imdb_id);
+              if (normalized) enrichmentResults.push(normalized);
             } catch (error) {
-              // Silently continue if enrichment fails - no error logging for cleaner output
+              this.warnEnrichmentFailure('IMDB', movie, error);
             }
           }
         }
@@ -343,19 +1759,29 @@ class MovieFetcher {
         if (this.tmdbApi && this.enabledApis.includes('tmdb') && 
             (!movie.sources || !movie.sources.includes('TMDB'))) {
           try {
-            const tmdbSearchResult = await this.tmdbApi.searchMovies(movie.title);
-            if (tmdbSearchResult.results && tmdbSearchResult.results.length > 0) {
-              const movieDetails = await this.tmdbApi.getMovieDetails(tmdbSearchResult.results[0].id);
-              const normalized = this.tmdbApi.normalizeMovieData(movieDetails);
+            if (movie.title_type === 'series' || movie.title_type === 'episode') {
+              // Series and episodes are found by IMDb ID; a title search would look for movies
+              const normalized = movie.imdb_id ? await this.fetchTmdbByImdbId(movie.imdb_id) : null;
               if (normalized) enrichmentResults.push(normalized);
+            } else {
+              const bestMatch = await this.findTmdbMatch({ title: movie.title, year: movie.release_year });
+              if (bestMatch) {
+                const normalized = await this.fetchTmdbTitle(bestMatch);
+
+                // Only merge when both records point at the same IMDb title
+                if (normalized && (!movie.imdb_id || normalized.imdb_id === movie.imdb_id)) {
+                  enrichmentResults.push(normalized);
+                }
+              }
             }
           } catch (error) {
-            // Silently continue if enrichment fails
+            this.warnEnrichmentFailure('TMDB', movie, error);
           }
         }
 
         // Merge all available data
-        const enrichedMovie = mergeMovieData(enrichmentResults);
+        this.conflictDetector.check(enrichmentResults);
+        const enrichedMovie = mergeMovieData(enrichmentResults, this.mergeOptions);
         const cleanedMovie = cleanMovieData(enrichedMovie);
         
         if (cleanedMovie) {
@@ -374,6 +1800,129 @@ class MovieFetcher {
     spinner.succeed(`Enriched ${enrichedMovies.length} movies using ${this.enabledApis.join(', ')}`);
     return enrichedMovies;
   }
+
+  /**
+   * Page through the TMDB reviews of one movie or series (TMDB has none for episodes)
+   * @param {Object} movie - Movie or series with a tmdb_id or imdb_id
+   * @param {number} maxReviews - Stop after this many reviews
+   * @returns {Promise<Array>} Normalized reviews, oldest first as TMDB returns them
+   */
+  async fetchMovieReviews(movie, maxReviews = DEFAULT_REVIEWS_PER_MOVIE) {
+    if (movie.title_type === 'episode') return [];
+
+    const isSeries = movie.title_type === 'series';
+    let tmdbId = movie.tmdb_id;
+    if (!tmdbId && movie.imdb_id) {
+      const found = await this.tmdbApi.findByImdbId(movie.imdb_id);
+      const matches = (isSeries ? found.tv_results : found.movie_results) || [];
+      tmdbId = matches.length > 0 ? matches[0].id : null;
+    }
+    if (!tmdbId) return [];
+
+    const reviews = [];
+    for (let page = 1; reviews.length < maxReviews; page++) {
+      const result = isSeries
+        ? await this.tmdbApi.getTvReviews(tmdbId, page)
+        : await this.tmdbApi.getMovieReviews(tmdbId, page);
+      reviews.push(...(result.results || []).map(review => this.tmdbApi.normalizeReview(review)));
+      if (!result.total_pages || page >= result.total_pages) break;
+    }
+
+    return reviews.slice(0, maxReviews);
+  }
+
+  /**
+   * Add TMDB reviews to movies as a `reviews` list
+   * @param {Array} movies - Movies to fetch reviews for
+   * @param {Object} options - maxPerMovie: reviews per movie (default: 20); concurrency: movies fetched in parallel (default: 3)
+   * @returns {Promise<Array>} Movies with `reviews`
+   */
+  async attachReviews(movies, options = {}) {
+    const { maxPerMovie = DEFAULT_REVIEWS_PER_MOVIE, concurrency = 3 } = options;
+
+    if (!this.tmdbApi) {
+      console.warn(chalk.yellow('Reviews come from TMDB; enable it with --apis tmdb and set TMDB_API_KEY'));
+      return movies;
+    }
+
+    const spinner = ora('Fetching reviews...').start();
+    let done = 0;
+    let reviewCount = 0;
+
+    const withReviews = await mapWithConcurrency(movies, concurrency, async (movie) => {
+      let reviews = [];
+      try {
+        reviews = await this.fetchMovieReviews(movie, maxPerMovie);
+      } catch (error) {
+        console.warn(chalk.yellow(`Failed to fetch reviews for "${movie.title}": ${error.message}`));
+      }
+
+      done++;
+      reviewCount += reviews.length;
+      spinner.text = `Fetching reviews ${done}/${movies.length}: ${movie.title}`;
+      return { ...movie, reviews };
+    });
+
+    spinner.succeed(`Fetched ${reviewCount} reviews for ${movies.length} movies`);
+    return withReviews;
+  }
+
+  /**
+   * Download movie images and point the movies at the local files
+   * @param {Array} movies - Movies with tmdb_id (or imdb_id for IMDB images)
+   * @param {Object} options - outputDir; kinds, size, maxImages as for ImageDownloader
+   * @returns {Promise<Array>} Movies with poster/backdrop/logo_local_path and cast profile_local_path,
+   *   relative to the output directory
+   */
+  async downloadImages(movies, options = {}) {
+    const downloader = new ImageDownloader(options.outputDir, {
+      tmdbApi: this.tmdbApi,
+      imdbApi: this.imdbApi,
+      requestStats: this.requestStats,
+      kinds: options.kinds,
+      size: options.size,
+      maxImages: options.maxImages
+    });
+
+    const spinner = ora('Downloading images...').start();
+    const entriesPerMovie = await downloader.downloadAll(movies, {
+      onProgress: (done, total, movie) => {
+        spinner.text = `Downloading images ${done}/${total}: ${movie.title}`;
+      }
+    });
+
+    const count = status => downloader.entries.filter(entry => entry.status === status).length;
+    spinner.succeed(`Images: ${count('downloaded')} downloaded, ${count('existing')} already saved, ${count('failed')} failed`);
+    if (count('failed') > 0) {
+      const failed = downloader.entries.find(entry => entry.status === 'failed');
+      console.warn(chalk.yellow(`Some images failed, e.g. ${failed.source_url || failed.movie_title}: ${failed.error}`));
+    }
+
+    const manifestPath = await downloader.writeManifest();
+    console.log(chalk.cyan(`  Image manifest: ${manifestPath}`));
+
+    return movies.map((movie, index) => {
+      const saved = entriesPerMovie[index].filter(entry => entry.file_path);
+      const firstOf = kind => (saved.find(entry => entry.kind === kind) || {}).file_path || null;
+
+      const withPaths = {
+        ...movie,
+        poster_local_path: firstOf('posters'),
+        backdrop_local_path: firstOf('backdrops'),
+        logo_local_path: firstOf('logos')
+      };
+
+      const profiles = saved.filter(entry => entry.kind === 'profiles');
+      if (profiles.length > 0 && Array.isArray(movie.cast)) {
+        withPaths.cast = movie.cast.map(actor => {
+          const profile = profiles.find(entry => entry.person === actor.name);
+          return profile ? { ...actor, profile_local_path: profile.file_path } : actor;
+        });
+      }
+
+      return withPaths;
+    });
+  }
 }
 
 module.exports = MovieFetcher;
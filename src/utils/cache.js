@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Default time-to-live per provider, in hours
+ */
+const DEFAULT_TTL_HOURS = {
+  omdb: 24 * 7,
+  tmdb: 24,
+  imdb: 24 * 3
+};
+
+/**
+ * Request params that must never end up in cache keys or cache files
+ */
+const SECRET_PARAMS = ['apikey', 'api_key'];
+
+class ResponseCache {
+  constructor(options = {}) {
+    this.cacheDir = options.cacheDir || process.env.CACHE_DIR || './.cache';
+    this.enabled = options.enabled !== false;
+    this.refresh = options.refresh || false;
+    this.ttlHours = { ...DEFAULT_TTL_HOURS };
+
+    Object.keys(DEFAULT_TTL_HOURS).forEach(provider => {
+      const envTtl = parseFloat(process.env[`${provider.toUpperCase()}_CACHE_TTL_HOURS`]);
+      if (!isNaN(envTtl)) {
+        this.ttlHours[provider] = envTtl;
+      }
+    });
+
+    if (options.ttlHours) {
+      Object.assign(this.ttlHours, options.ttlHours);
+    }
+
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Drop secrets and sort keys so equal requests produce equal keys
+   * @param {Object} params - Request params
+   * @returns {Object} Stable, secret-free params
+   */
+  sanitizeParams(params = {}) {
+    const sanitized = {};
+    Object.keys(params).sort().forEach(key => {
+      if (!SECRET_PARAMS.includes(key) && params[key] !== undefined && params[key] !== null) {
+        sanitized[key] = params[key];
+      }
+    });
+    return sanitized;
+  }
+
+  buildKey(provider, endpoint, params) {
+    const payload = JSON.stringify([provider, endpoint, this.sanitizeParams(params)]);
+    return crypto.createHash('sha1').update(payload).digest('hex');
+  }
+
+  getEntryPath(provider, key) {
+    return path.join(this.cacheDir, provider, `${key}.json`);
+  }
+
+  /**
+   * Look up a cached response
+   * @param {string} provider - Provider name (omdb, tmdb, imdb)
+   * @param {string} endpoint - Endpoint path
+   * @param {Object} params - Request params
+   * @returns {Promise<*>} Cached response data, or undefined on a miss
+   */
+  async get(provider, endpoint, params) {
+    if (!this.enabled || this.refresh) {
+      return undefined;
+    }
+
+    const entryPath = this.getEntryPath(provider, this.buildKey(provider, endpoint, params));
+
+    try {
+      const entry = JSON.parse(await fs.readFile(entryPath, 'utf8'));
+      if (entry.expiresAt && entry.expiresAt < Date.now()) {
+        this.misses++;
+        return undefined;
+      }
+      this.hits++;
+      return entry.data;
+    } catch {
+      this.misses++;
+      return undefined;
+    }
+  }
+
+  /**
+   * Store a response
+   * @param {string} provider - Provider name (omdb, tmdb, imdb)
+   * @param {string} endpoint - Endpoint path
+   * @param {Object} params - Request params
+   * @param {*} data - Response data
+   */
+  async set(provider, endpoint, params, data) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const key = this.buildKey(provider, endpoint, params);
+    const entryPath = this.getEntryPath(provider, key);
+    const ttlHours = this.ttlHours[provider] !== undefined ? this.ttlHours[provider] : 24;
+    const now = Date.now();
+
+    const entry = {
+      provider,
+      endpoint,
+      params: this.sanitizeParams(params),
+      storedAt: now,
+      expiresAt: now + ttlHours * 60 * 60 * 1000,
+      data
+    };
+
+    try {
+      await fs.mkdir(path.dirname(entryPath), { recursive: true });
+      await fs.writeFile(entryPath, JSON.stringify(entry), 'utf8');
+    } catch (error) {
+      // A failed cache write must never fail the request itself
+      if (process.env.NODE_ENV === 'development') {
+        console.warn(`Cache write failed: ${error.message}`);
+      }
+    }
+  }
+
+  async listEntryFiles(provider = null) {
+    const providers = provider ? [provider] : Object.keys(DEFAULT_TTL_HOURS);
+    const files = [];
+
+    for (const name of providers) {
+      const dir = path.join(this.cacheDir, name);
+      try {
+        const entries = await fs.readdir(dir);
+        entries
+          .filter(file => file.endsWith('.json'))
+          .forEach(file => files.push({ provider: name, path: path.join(dir, file) }));
+      } catch {
+        // Provider directory does not exist yet
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Summarize cache contents per provider
+   * @param {string} provider - Optional provider to limit to
+   * @returns {Promise<Object>} Stats keyed by provider
+   */
+  async stats(provider = null) {
+    const files = await this.listEntryFiles(provider);
+    const stats = {};
+    const now = Date.now();
+
+    for (const file of files) {
+      if (!stats[file.provider]) {
+        stats[file.provider] = { entries: 0, expired: 0, bytes: 0, ttlHours: this.ttlHours[file.provider] };
+      }
+
+      const providerStats = stats[file.provider];
+      try {
+        const content = await fs.readFile(file.path, 'utf8');
+        providerStats.entries++;
+        providerStats.bytes += Buffer.byteLength(content);
+        const entry = JSON.parse(content);
+        if (entry.expiresAt && entry.expiresAt < now) {
+          providerStats.expired++;
+        }
+      } catch {
+        providerStats.expired++;
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Remove expired or unreadable entries
+   * @param {string} provider - Optional provider to limit to
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async prune(provider = null) {
+    const files = await this.listEntryFiles(provider);
+    const now = Date.now();
+    let removed = 0;
+
+    for (const file of files) {
+      let expired = true;
+      try {
+        const entry = JSON.parse(await fs.readFile(file.path, 'utf8'));
+        expired = entry.expiresAt && entry.expiresAt < now;
+      } catch {
+        // Corrupt entries are pruned as well
+      }
+
+      if (expired) {
+        await fs.unlink(file.path);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove all entries
+   * @param {string} provider - Optional provider to limit to
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async clear(provider = null) {
+    const files = await this.listEntryFiles(provider);
+    for (const file of files) {
+      await fs.unlink(file.path);
+    }
+    return files.length;
+  }
+}
+
+module.exports = ResponseCache;
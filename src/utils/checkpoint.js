@@ -0,0 +1,90 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { generateFilename } = require('./helpers');
+
+const CHECKPOINT_VERSION = 1;
+
+class Checkpoint {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.state = null;
+    this.saving = null;
+  }
+
+  /**
+   * Create a checkpoint with a timestamped path inside the output directory
+   * @param {string} outputDir - Output directory
+   * @param {string} prefix - Command name used in the filename
+   * @returns {Checkpoint} New checkpoint
+   */
+  static create(outputDir, prefix) {
+    const filename = generateFilename(`${prefix}_checkpoint`, 'json');
+    return new Checkpoint(path.join(outputDir, '.checkpoints', filename));
+  }
+
+  /**
+   * Load a previously saved state
+   * @returns {Promise<Object|null>} Saved state, or null if the file does not exist
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const state = JSON.parse(content);
+    if (state.version !== CHECKPOINT_VERSION) {
+      throw new Error(`Unsupported checkpoint version in ${this.filePath}`);
+    }
+
+    this.state = state;
+    return state;
+  }
+
+  /**
+   * Persist state. Saves are serialized so parallel workers never interleave writes.
+   * @param {Object} state - State to save
+   * @returns {Promise<void>} Resolves once this state is on disk
+   */
+  save(state) {
+    const snapshot = {
+      version: CHECKPOINT_VERSION,
+      ...state,
+      updatedAt: new Date().toISOString()
+    };
+    this.state = snapshot;
+
+    this.saving = (this.saving || Promise.resolve())
+      .catch(() => {})
+      .then(() => this.write(snapshot));
+    return this.saving;
+  }
+
+  /**
+   * Write to a temp file first so a crash never leaves a truncated checkpoint
+   * @param {Object} snapshot - State to write
+   */
+  async write(snapshot) {
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(snapshot), 'utf8');
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  async remove() {
+    if (this.saving) {
+      await this.saving.catch(() => {});
+    }
+
+    try {
+      await fs.unlink(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = Checkpoint;
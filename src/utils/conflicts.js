@@ -0,0 +1,144 @@
+const { titleSimilarity } = require('./matching');
+
+/**
+ * How far providers may disagree before a field is reported:
+ * runtime in minutes, year in years, budget as a fraction of the larger value,
+ * director as the name distance (1 minus similarity) of the closest director pair
+ */
+const DEFAULT_TOLERANCES = {
+  runtime: 5,
+  year: 0,
+  budget: 0.1,
+  director: 0.15
+};
+
+const CHECKED_FIELDS = {
+  runtime: 'runtime_min',
+  year: 'release_year',
+  budget: 'budget',
+  director: 'director'
+};
+
+/**
+ * Parse `--tolerance` rules such as "runtime=10,year=1"
+ * @param {Array|string} rules - Rules from the command line
+ * @returns {Object} Tolerances merged over the defaults
+ */
+function parseToleranceRules(rules) {
+  const tolerances = { ...DEFAULT_TOLERANCES };
+
+  [].concat(rules || [])
+    .join(',')
+    .split(',')
+    .map(rule => rule.trim())
+    .filter(Boolean)
+    .forEach(rule => {
+      const [name, value] = rule.split('=').map(part => part && part.trim());
+      const tolerance = parseFloat(value);
+      if (!CHECKED_FIELDS[name] || isNaN(tolerance) || tolerance < 0) {
+        throw new Error(`Invalid --tolerance rule "${rule}". Use ${Object.keys(CHECKED_FIELDS).join(', ')} with a non-negative number, e.g. runtime=10`);
+      }
+      tolerances[name] = tolerance;
+    });
+
+  return tolerances;
+}
+
+function splitNames(value) {
+  return String(value).split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Compares provider records of one movie before they are merged and collects disagreements
+ */
+class ConflictDetector {
+  constructor(tolerances = DEFAULT_TOLERANCES) {
+    this.tolerances = { ...DEFAULT_TOLERANCES, ...tolerances };
+    this.entries = [];
+  }
+
+  /**
+   * How much two values of a field disagree, in the unit of its tolerance
+   * @param {string} name - Checked field (runtime, year, budget, director)
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {number} Difference; for directors, 1 minus the similarity of the closest names
+   */
+  getDifference(name, a, b) {
+    switch (name) {
+      case 'budget':
+        return Math.abs(a - b) / Math.max(Math.abs(a), Math.abs(b));
+      case 'director': {
+        let best = 0;
+        splitNames(a).forEach(left => {
+          splitNames(b).forEach(right => {
+            best = Math.max(best, titleSimilarity(left, right));
+          });
+        });
+        return 1 - best;
+      }
+      default:
+        return Math.abs(a - b);
+    }
+  }
+
+  /**
+   * Compare provider records of the same movie and remember fields they disagree on
+   * @param {Array} records - Normalized records, each with a `source` (or `sources` for merged ones)
+   * @returns {Array} Conflicts found for these records
+   */
+  check(records) {
+    const labelled = records
+      .filter(Boolean)
+      .map(record => ({
+        record,
+        source: Array.isArray(record.sources) && record.sources.length > 0 ? record.sources.join('+') : record.source
+      }));
+
+    if (labelled.length < 2) return [];
+
+    const reference = labelled.find(({ record }) => record.imdb_id) || labelled[0];
+    const conflicts = [];
+
+    Object.keys(CHECKED_FIELDS).forEach(name => {
+      const field = CHECKED_FIELDS[name];
+      const withValue = labelled.filter(({ record }) => record[field] !== null && record[field] !== undefined && record[field] !== '');
+      if (withValue.length < 2) return;
+
+      // Largest pairwise disagreement between providers
+      let difference = 0;
+      for (let i = 0; i < withValue.length; i++) {
+        for (let j = i + 1; j < withValue.length; j++) {
+          difference = Math.max(difference, this.getDifference(name, withValue[i].record[field], withValue[j].record[field]));
+        }
+      }
+
+      if (difference > this.tolerances[name]) {
+        const values = {};
+        withValue.forEach(({ record, source }) => {
+          values[source] = record[field];
+        });
+
+        conflicts.push({
+          title: reference.record.title,
+          release_year: reference.record.release_year,
+          imdb_id: reference.record.imdb_id || null,
+          tmdb_id: (labelled.find(({ record }) => record.tmdb_id) || { record: {} }).record.tmdb_id || null,
+          field,
+          values,
+          difference: Math.round(difference * 100) / 100,
+          tolerance: this.tolerances[name]
+        });
+      }
+    });
+
+    this.entries.push(...conflicts);
+    return conflicts;
+  }
+}
+
+module.exports = {
+  ConflictDetector,
+  DEFAULT_TOLERANCES,
+  parseToleranceRules
+};
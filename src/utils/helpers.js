@@ -1,4 +1,5 @@
 const moment = require('moment');
+const { DEFAULT_PRECEDENCE, getSourceRank } = require('./precedence');
 
 /**
  * Sleep for a given number of milliseconds
@@ -32,14 +33,22 @@ function isDateInRange(date, startDate, endDate) {
   return checkDate.isBetween(start, end, null, '[]'); // inclusive
 }
 
+/**
+ * IMDB genre names TMDB spells differently
+ */
+const GENRE_ALIASES = {
+  'sci-fi': 'science fiction'
+};
+
 /**
  * Normalize genre string for comparison
  * @param {string} genre - Genre string to normalize
- * @returns {string} Normalized genre string
+ * @returns {string} Normalized genre string, in TMDB's spelling
  */
 function normalizeGenre(genre) {
   if (!genre) return '';
-  return genre.toLowerCase().trim();
+  const normalized = genre.toLowerCase().trim();
+  return GENRE_ALIASES[normalized] || normalized;
 }
 
 /**
@@ -130,44 +139,496 @@ function matchesFilters(movie, filters) {
 }
 
 /**
- * Merge movie data from multiple sources
+ * Bookkeeping fields that describe a record rather than the movie
+ */
+const PROVENANCE_EXCLUDED_FIELDS = ['source', 'sources', 'fetched_at', '_provenance', 'match_confidence', 'match_reason'];
+
+/**
+ * Fields whose lists are combined from all providers instead of taken from one
+ */
+const LIST_FIELDS = ['cast', 'other_titles', 'release_dates'];
+
+function hasValue(value) {
+  if (value === null || value === undefined || value === '') return false;
+  return !Array.isArray(value) || value.length > 0;
+}
+
+/**
+ * Where a field of a record came from: its own provenance if it was merged before,
+ * otherwise the record's provider and fetch time
+ * @param {Object} data - Normalized or merged movie record
+ * @param {string} key - Field name
+ * @returns {Object} Provenance entry with source and fetched_at
+ */
+function getFieldOrigin(data, key) {
+  if (data._provenance && data._provenance[key]) {
+    return data._provenance[key];
+  }
+  return { source: data.source || null, fetched_at: data.fetched_at || null };
+}
+
+/**
+ * Provenance of a list field combined from several records (cast, other titles)
+ * @param {Object} existing - Provenance so far, if any
+ * @param {Object} added - Provenance of the newly merged items
+ * @returns {Object} Combined provenance entry
+ */
+function combineFieldOrigins(existing, added) {
+  if (!existing) return added;
+
+  const sources = [...new Set(`${existing.source}+${added.source}`.split('+'))];
+  const fetchedAt = [existing.fetched_at, added.fetched_at].filter(Boolean).sort().pop() || null;
+  return { source: sources.join('+'), fetched_at: fetchedAt };
+}
+
+/**
+ * Merge list fields (cast, other titles, release dates) in precedence order
+ * @param {string} key - Field name
+ * @param {Array} contributions - Records with a value for the field, best first
+ * @returns {Object} Merged list and the provenance of the records that contributed
+ */
+function mergeListField(key, contributions) {
+  let list = [];
+  let origin = null;
+
+  contributions.forEach(({ data, origin: dataOrigin }) => {
+    let added = data[key];
+    if (key === 'cast') {
+      // Avoid duplicate actors; the first (preferred) entry keeps its role
+      const existingNames = list.map(actor => actor.name);
+      added = added.filter(actor => !existingNames.includes(actor.name));
+    } else if (key === 'release_dates') {
+      // The same release reported by several providers is kept once, with the preferred provider's details
+      const existingReleases = list.map(release => `${release.country}|${release.date}`);
+      added = added.filter(release => !existingReleases.includes(`${release.country}|${release.date}`));
+    }
+
+    if (added.length > 0) {
+      list = [...list, ...added];
+      origin = combineFieldOrigins(origin, dataOrigin);
+    }
+  });
+
+  return { value: list, origin };
+}
+
+/**
+ * Merge movie data from multiple sources. Each field is taken from the provider that
+ * ranks highest for it in the precedence policy, so the result does not depend on
+ * the order records are passed in.
  * @param {Array} movieDataArray - Array of movie objects from different sources
- * @returns {Object} Merged movie object
+ * @param {Object} options - precedence: policy from buildPrecedence() (default: built-in defaults)
+ * @returns {Object} Merged movie object, with a `_provenance` map of which provider (and fetch time)
+ *   each field came from, so that merging it again ranks every field by its real provider
  */
-function mergeMovieData(movieDataArray) {
+function mergeMovieData(movieDataArray, options = {}) {
   if (!movieDataArray || movieDataArray.length === 0) {
     return null;
   }
 
-  // Start with the first movie data as base
-  const merged = { ...movieDataArray[0] };
-  
-  // Merge data from other sources, prioritizing non-null values
-  for (let i = 1; i < movieDataArray.length; i++) {
-    const current = movieDataArray[i];
-    
-    Object.keys(current).forEach(key => {
-      if (current[key] !== null && current[key] !== undefined && current[key] !== '') {
-        if (key === 'cast' && Array.isArray(current[key]) && Array.isArray(merged[key])) {
-          // Merge cast arrays, avoiding duplicates
-          const existingNames = merged[key].map(actor => actor.name);
-          const newActors = current[key].filter(actor => !existingNames.includes(actor.name));
-          merged[key] = [...merged[key], ...newActors];
-        } else if (key === 'other_titles' && Array.isArray(current[key]) && Array.isArray(merged[key])) {
-          // Merge other titles arrays
-          merged[key] = [...merged[key], ...current[key]];
-        } else if (!merged[key] || merged[key] === null || merged[key] === '') {
-          // Use value from current source if merged doesn't have it
-          merged[key] = current[key];
-        }
-      }
+  const precedence = options.precedence || DEFAULT_PRECEDENCE;
+  const base = movieDataArray[0];
+  const merged = {};
+  const provenance = {};
+
+  const keys = [...new Set(movieDataArray.flatMap(data => Object.keys(data)))];
+
+  keys.forEach(key => {
+    if (key === '_provenance') return;
+
+    const withValue = movieDataArray.filter(data => hasValue(data[key]));
+
+    // Bookkeeping fields keep the first record's value
+    if (PROVENANCE_EXCLUDED_FIELDS.includes(key)) {
+      merged[key] = key in base ? base[key] : (withValue[0] || {})[key];
+      return;
+    }
+
+    if (withValue.length === 0) {
+      // Nothing known: keep the base record's empty value (null, [], ...)
+      merged[key] = key in base ? base[key] : movieDataArray.find(data => key in data)[key];
+      return;
+    }
+
+    const contributions = withValue
+      .map((data, index) => ({ data, index, origin: getFieldOrigin(data, key) }))
+      .sort((a, b) =>
+        getSourceRank(precedence, key, a.origin.source) - getSourceRank(precedence, key, b.origin.source) ||
+        a.index - b.index
+      );
+
+    if (LIST_FIELDS.includes(key) && contributions.every(({ data }) => Array.isArray(data[key]))) {
+      const { value, origin } = mergeListField(key, contributions);
+      merged[key] = value;
+      provenance[key] = origin;
+    } else {
+      merged[key] = contributions[0].data[key];
+      provenance[key] = contributions[0].origin;
+    }
+  });
+
+  // Add sources information; a record merged before brings all of its sources
+  merged.sources = [...new Set(movieDataArray.flatMap(data =>
+    Array.isArray(data.sources) && data.sources.length > 0 ? data.sources : [data.source]
+  ).filter(Boolean))];
+
+  // Fetch times live in the provenance map; a single one would be misleading for merged data
+  delete merged.fetched_at;
+  merged._provenance = provenance;
+
+  return merged;
+}
+
+/**
+ * Drop merge bookkeeping from a record before it is exported. Fetch times are only
+ * exported as part of the provenance, which a record from a single API gets from its own
+ * `source` and `fetched_at`.
+ * @param {Object} movie - Normalized or merged record
+ * @param {Object} options - provenance: keep the `_provenance` map (`--provenance`)
+ * @returns {Object} Record to export
+ */
+function stripMergeBookkeeping(movie, options = {}) {
+  const { _provenance, fetched_at: fetchedAt, ...stripped } = movie;
+  if (!options.provenance) return stripped;
+  if (_provenance) return { ...stripped, _provenance };
+  if (!movie.source) return stripped;
+
+  const provenance = {};
+  Object.keys(stripped)
+    .filter(key => !PROVENANCE_EXCLUDED_FIELDS.includes(key) && hasValue(stripped[key]))
+    .forEach(key => {
+      provenance[key] = { source: movie.source, fetched_at: fetchedAt || null };
     });
+  return { ...stripped, _provenance: provenance };
+}
+
+/**
+ * Offer types in TMDB watch provider data
+ */
+const WATCH_OFFER_TYPES = ['flatrate', 'free', 'ads', 'rent', 'buy'];
+
+/**
+ * Watch provider offer types that let you stream a movie (as opposed to rent or buy)
+ */
+const STREAMING_OFFER_TYPES = ['flatrate', 'free', 'ads'];
+
+/**
+ * Check whether a movie is available in a country
+ * @param {Object} movie - Movie with normalized `watch_providers`
+ * @param {string} region - ISO 3166-1 country code
+ * @param {Array} offerTypes - Offer types that count (default: streaming - subscription, free or with ads)
+ * @returns {boolean} True if any provider offers it there in one of these ways
+ */
+function isStreamingIn(movie, region, offerTypes = STREAMING_OFFER_TYPES) {
+  const code = (region || '').toUpperCase();
+  return (movie.watch_providers || []).some(offer =>
+    offer.country === code && offerTypes.includes(offer.type)
+  );
+}
+
+/**
+ * Parse `--monetization` offer types
+ * @param {Array|string} values - flatrate, free, ads, rent and/or buy
+ * @returns {Array} Offer types; the streaming ones when none are given
+ */
+function parseOfferTypes(values) {
+  const types = [].concat(values || []).flatMap(value => String(value).split(/[,|]/)).map(type => type.trim().toLowerCase()).filter(Boolean);
+  const unknown = types.find(type => !WATCH_OFFER_TYPES.includes(type));
+  if (unknown) {
+    throw new Error(`Invalid --monetization "${unknown}". Use ${WATCH_OFFER_TYPES.join(', ')}`);
   }
+  return types.length > 0 ? [...new Set(types)] : STREAMING_OFFER_TYPES;
+}
 
-  // Add sources information
-  merged.sources = movieDataArray.map(data => data.source).filter(Boolean);
+/**
+ * `--sort-by` keys and the TMDB discover field they sort by, per media type (null: not sortable)
+ */
+const SORT_FIELDS = {
+  popularity: { movie: 'popularity', tv: 'popularity' },
+  rating: { movie: 'vote_average', tv: 'vote_average' },
+  votes: { movie: 'vote_count', tv: 'vote_count' },
+  year: { movie: 'primary_release_date', tv: 'first_air_date' },
+  title: { movie: 'title', tv: 'name' },
+  revenue: { movie: 'revenue', tv: null }
+};
 
-  return merged;
+/**
+ * Parse `--sort-by`: popularity, rating, votes, year, title or revenue (or a TMDB field such as vote_average),
+ * optionally followed by .asc or .desc
+ * @param {string} value - Sort option, e.g. "rating" or "year.asc"
+ * @returns {Object} key (from SORT_FIELDS) and direction (asc/desc; default desc, for titles asc)
+ */
+function parseSortBy(value) {
+  const [name, direction] = String(value || 'popularity').trim().toLowerCase().split('.');
+  const key = SORT_FIELDS[name] ? name : Object.keys(SORT_FIELDS).find(sortKey =>
+    SORT_FIELDS[sortKey].movie === name || SORT_FIELDS[sortKey].tv === name);
+
+  if (!key || (direction && !['asc', 'desc'].includes(direction))) {
+    throw new Error(`Invalid --sort-by "${value}". Use ${Object.keys(SORT_FIELDS).join(', ')}, optionally with .asc or .desc`);
+  }
+
+  return { key, direction: direction || (key === 'title' ? 'asc' : 'desc') };
+}
+
+/**
+ * TMDB discover `sort_by` for a parsed sort
+ * @param {Object} sort - From parseSortBy()
+ * @param {string} mediaType - movie or tv
+ * @returns {string} e.g. vote_average.desc; popularity.desc when the media type cannot be sorted that way
+ */
+function getTmdbSortBy(sort, mediaType = 'movie') {
+  const field = SORT_FIELDS[sort.key][mediaType];
+  return field ? `${field}.${sort.direction}` : 'popularity.desc';
+}
+
+/**
+ * How each sort key reads a normalized movie; IMDb ratings and votes win over TMDB's, as in the merge precedence
+ */
+const SORT_VALUES = {
+  popularity: movie => movie.popularity,
+  rating: movie => hasValue(movie.imdb_rating) ? movie.imdb_rating : movie.tmdb_rating,
+  votes: movie => hasValue(movie.imdb_vote_count) ? movie.imdb_vote_count : movie.tmdb_vote_count,
+  year: movie => movie.release_year ? movie.release_year * 10000 + (movie.release_month || 0) * 100 + (movie.release_day || 0) : null,
+  title: movie => movie.title ? movie.title.toLowerCase() : null,
+  revenue: movie => movie.gross_worldwide_boxoffice
+};
+
+/**
+ * Sort normalized movies, e.g. after combining providers; movies without the value go last
+ * @param {Array} movies - Movies
+ * @param {Object} sort - From parseSortBy()
+ * @returns {Array} Sorted copy
+ */
+function sortMovies(movies, sort) {
+  const value = SORT_VALUES[sort.key];
+  const order = sort.direction === 'asc' ? 1 : -1;
+
+  return [...movies].sort((a, b) => {
+    const left = value(a);
+    const right = value(b);
+    if (!hasValue(left) || !hasValue(right)) {
+      return hasValue(left) ? -1 : hasValue(right) ? 1 : 0;
+    }
+    return (left < right ? -1 : left > right ? 1 : 0) * order;
+  });
+}
+
+/**
+ * Check a normalized movie against rating, vote and year limits, whichever provider it came from.
+ * Movies without the value are left out when a limit is set.
+ * @param {Object} movie - Movie
+ * @param {Object} filters - minRating, maxRating, minVotes, startYear, endYear
+ * @returns {boolean} Whether the movie is within all limits
+ */
+function matchesRangeFilters(movie, filters) {
+  const ranges = [
+    { value: SORT_VALUES.rating(movie), min: filters.minRating, max: filters.maxRating },
+    { value: SORT_VALUES.votes(movie), min: filters.minVotes },
+    { value: movie.release_year, min: filters.startYear, max: filters.endYear }
+  ];
+
+  return ranges.every(({ value, min, max }) => {
+    if (!hasValue(min) && !hasValue(max)) return true;
+    if (!hasValue(value)) return false;
+    return (!hasValue(min) || value >= min) && (!hasValue(max) || value <= max);
+  });
+}
+
+/**
+ * Reviews of all movies as one dataset, each row with the movie it belongs to
+ * @param {Array} movies - Movies with `reviews`
+ * @returns {Array} Review rows
+ */
+function collectReviews(movies) {
+  return movies.flatMap(movie => (movie.reviews || []).map(review => ({
+    tmdb_id: movie.tmdb_id || null,
+    imdb_id: movie.imdb_id || null,
+    movie_title: movie.title,
+    ...review
+  })));
+}
+
+/**
+ * Values of `--type`: movies, TV series, episodes of series, or movies and series together
+ */
+const TITLE_TYPES = ['movie', 'series', 'episode', 'all'];
+
+/**
+ * Parse the `--type` value
+ * @param {string} value - movie, series, episode or all (default: movie)
+ * @returns {string} Title type
+ */
+function parseTitleType(value) {
+  const type = String(value || 'movie').trim().toLowerCase();
+  if (!TITLE_TYPES.includes(type)) {
+    throw new Error(`Invalid --type "${value}". Use one of: ${TITLE_TYPES.join(', ')}`);
+  }
+  return type;
+}
+
+/**
+ * Replace series by their episodes, for exports where each row is an episode
+ * @param {Array} titles - Movies, series (with `episodes`) and episodes
+ * @returns {Array} Episodes; titles that are not series are kept as they are
+ */
+function expandEpisodes(titles) {
+  return titles.flatMap(title => title.title_type === 'series' && Array.isArray(title.episodes)
+    ? title.episodes.map(episode => ({ ...episode, series_title: episode.series_title || title.title }))
+    : [title]);
+}
+
+/**
+ * Release types from the most to the least representative of when a movie came out in a country
+ */
+const RELEASE_TYPE_ORDER = ['theatrical', 'limited', 'premiere', 'digital', 'physical', 'tv'];
+
+/**
+ * Release of a movie in one country: the theatrical one, else limited, premiere, digital, physical or TV
+ * @param {Array} releaseDates - Normalized `release_dates` entries
+ * @param {string} country - ISO 3166-1 country code
+ * @returns {Object|null} { date, type, certification } or null if the movie has no release there
+ */
+function getCountryRelease(releaseDates, country) {
+  const code = (country || '').toUpperCase();
+  const releases = (releaseDates || [])
+    .filter(release => release.country === code && release.date)
+    .sort((a, b) =>
+      RELEASE_TYPE_ORDER.indexOf(a.type) - RELEASE_TYPE_ORDER.indexOf(b.type) ||
+      a.date.localeCompare(b.date)
+    );
+
+  if (releases.length === 0) return null;
+
+  // Certifications are often only given on one of a country's releases
+  const certified = releases.find(release => release.certification);
+  return {
+    date: releases[0].date,
+    type: releases[0].type,
+    certification: certified ? certified.certification : null
+  };
+}
+
+/**
+ * Make release_year/month/day reflect the release in one country. Movies without
+ * a release there keep their original date.
+ * @param {Object} movie - Normalized or merged movie
+ * @param {string} country - ISO 3166-1 country code
+ * @returns {Object} Movie with the country's release date
+ */
+function applyReleaseCountry(movie, country) {
+  const release = movie && country ? getCountryRelease(movie.release_dates, country) : null;
+  if (!release) return movie;
+
+  const [year, month, day] = release.date.split('-').map(part => parseInt(part));
+  const localized = {
+    ...movie,
+    release_year: year,
+    release_month: month || null,
+    release_day: day || null
+  };
+
+  if (movie._provenance && movie._provenance.release_dates) {
+    localized._provenance = { ...movie._provenance };
+    ['release_year', 'release_month', 'release_day'].forEach(field => {
+      localized._provenance[field] = movie._provenance.release_dates;
+    });
+  }
+
+  return localized;
+}
+
+/**
+ * Parse a language option such as "pl-PL" (or just "pl")
+ * @param {string} value - Language code, ISO 639-1 with an optional ISO 3166-1 country
+ * @param {string} option - Option name for the error message
+ * @returns {string|null} Code as TMDB expects it (pl-PL), or null when not given
+ */
+function parseLanguage(value, option = '--language') {
+  if (!value) return null;
+
+  const match = String(value).trim().match(/^([a-z]{2})(?:[-_]([a-z]{2}))?$/i);
+  if (!match) {
+    throw new Error(`Invalid ${option} "${value}". Use a language code such as pl-PL or en`);
+  }
+  return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+}
+
+/**
+ * Translation for a language: the exact one (pl-PL), otherwise any of the same language (pl)
+ * @param {Array} translations - Normalized `translations` entries
+ * @param {string} language - Language code, with or without a country
+ * @returns {Object|undefined} Translation with title, overview and tagline
+ */
+function findTranslation(translations, language) {
+  const code = (language || '').toLowerCase();
+  return (translations || []).find(translation => translation.language.toLowerCase() === code) ||
+    (translations || []).find(translation => translation.language.split('-')[0].toLowerCase() === code.split('-')[0]);
+}
+
+/**
+ * Fields exported per language with `--locale-columns`
+ */
+const LOCALIZED_FIELDS = ['title', 'description', 'tagline'];
+
+/**
+ * Add title, description and tagline in each of the given languages as `localized`
+ * @param {Object} movie - Movie with normalized `translations`
+ * @param {Array} languages - Language codes, e.g. ['pl-PL', 'en-US']
+ * @returns {Object} Movie with `localized` keyed by language; null values where TMDB has no translation
+ */
+function applyLocaleColumns(movie, languages) {
+  const localized = {};
+
+  languages.forEach(language => {
+    const translation = findTranslation(movie.translations, language) || {};
+    localized[language] = {
+      title: translation.title || null,
+      description: translation.overview || null,
+      tagline: translation.tagline || null
+    };
+  });
+
+  return { ...movie, localized };
+}
+
+/**
+ * Languages of the `localized` texts in a list of movies
+ * @param {Array} movies - Movies, some with `localized`
+ * @returns {Array} Language codes in the order they first appear
+ */
+function getLocalizedLanguages(movies) {
+  return [...new Set(movies.flatMap(movie => Object.keys(movie.localized || {})))];
+}
+
+/**
+ * Export columns for `localized` texts, one per language and field
+ * @param {Array} languages - Language codes, e.g. ['pl-PL']
+ * @returns {Array} Columns with id (e.g. title_pl-PL), title (e.g. "Title (pl-PL)"), language and field
+ */
+function getLocaleColumns(languages) {
+  return languages.flatMap(language => LOCALIZED_FIELDS.map(field => ({
+    id: `${field}_${language}`,
+    title: `${field.charAt(0).toUpperCase()}${field.slice(1)} (${language})`,
+    language,
+    field
+  })));
+}
+
+/**
+ * Split a date window into two halves, e.g. to query them separately
+ * @param {Object} window - start and end date (YYYY-MM-DD, inclusive)
+ * @returns {Array|null} Two adjoining windows, or null for a single day
+ */
+function splitDateWindow(window) {
+  const start = moment.utc(window.start, 'YYYY-MM-DD');
+  const days = moment.utc(window.end, 'YYYY-MM-DD').diff(start, 'days');
+  if (!(days >= 1)) return null;
+
+  const middle = start.clone().add(Math.floor(days / 2), 'days');
+  return [
+    { start: start.format('YYYY-MM-DD'), end: middle.format('YYYY-MM-DD') },
+    { start: middle.clone().add(1, 'days').format('YYYY-MM-DD'), end: window.end }
+  ];
 }
 
 /**
@@ -225,6 +686,30 @@ function cleanMovieData(movie) {
   return cleaned;
 }
 
+/**
+ * Run an async worker over items with at most `concurrency` in flight
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of parallel workers
+ * @param {Function} worker - Async function (item, index) => result
+ * @returns {Promise<Array>} Results in the same order as items
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  return results;
+}
+
 /**
  * Generate a filename with timestamp
  * @param {string} baseName - Base filename
@@ -243,6 +728,28 @@ module.exports = {
   normalizeGenre,
   matchesFilters,
   mergeMovieData,
+  stripMergeBookkeeping,
+  getCountryRelease,
+  applyReleaseCountry,
+  WATCH_OFFER_TYPES,
+  STREAMING_OFFER_TYPES,
+  isStreamingIn,
+  parseOfferTypes,
+  parseSortBy,
+  getTmdbSortBy,
+  sortMovies,
+  matchesRangeFilters,
+  collectReviews,
+  TITLE_TYPES,
+  parseTitleType,
+  expandEpisodes,
+  parseLanguage,
+  findTranslation,
+  applyLocaleColumns,
+  getLocalizedLanguages,
+  getLocaleColumns,
+  splitDateWindow,
   cleanMovieData,
+  mapWithConcurrency,
   generateFilename
 };
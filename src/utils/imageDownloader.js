@@ -0,0 +1,320 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { HttpClient } = require('../api/httpClient');
+const { mapWithConcurrency } = require('./helpers');
+
+const TMDB_IMAGE_BASE_URL = 'https://image.tmdb.org/t/p';
+
+const IMAGE_KINDS = ['posters', 'backdrops', 'logos', 'profiles'];
+
+// Sizes TMDB serves for each kind of image
+const TMDB_IMAGE_SIZES = {
+  posters: ['w92', 'w154', 'w185', 'w342', 'w500', 'w780', 'original'],
+  backdrops: ['w300', 'w780', 'w1280', 'original'],
+  logos: ['w45', 'w92', 'w154', 'w185', 'w300', 'w500', 'original'],
+  profiles: ['w45', 'w185', 'h632', 'original']
+};
+
+// Images saved per movie and kind unless a limit is given; profiles are per cast member
+const DEFAULT_MAX_IMAGES = { posters: 1, backdrops: 1, logos: 1, profiles: 10 };
+
+// IMDB image types used for each kind (IMDB has no logos or cast profiles per title)
+const IMDB_IMAGE_TYPES = {
+  posters: ['poster'],
+  backdrops: ['still_frame']
+};
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/svg+xml': '.svg',
+  'image/webp': '.webp'
+};
+
+/**
+ * Parse the `--download-images` value
+ * @param {boolean|string} value - true for the defaults, or a comma separated list
+ * @returns {Array} Image kinds
+ */
+function parseImageKinds(value) {
+  if (value === true || value === undefined) return ['posters', 'backdrops'];
+
+  const kinds = String(value).split(',').map(kind => kind.trim().toLowerCase()).filter(Boolean);
+  const unknown = kinds.filter(kind => !IMAGE_KINDS.includes(kind));
+  if (kinds.length === 0 || unknown.length > 0) {
+    throw new Error(`Invalid --download-images value "${value}". Use a comma separated list of ${IMAGE_KINDS.join(', ')}`);
+  }
+  return [...new Set(kinds)];
+}
+
+/**
+ * Closest size TMDB serves for a kind: the requested one, else the smallest wider one, else original
+ * @param {string} kind - Image kind
+ * @param {string} size - Requested size, e.g. w780
+ * @returns {string} Size to request
+ */
+function resolveTmdbSize(kind, size) {
+  const sizes = TMDB_IMAGE_SIZES[kind];
+  if (sizes.includes(size)) return size;
+
+  const width = parseInt(String(size).replace(/^w/, ''));
+  const wider = sizes.find(candidate => candidate.startsWith('w') && parseInt(candidate.slice(1)) >= width);
+  return wider || 'original';
+}
+
+/**
+ * Read the pixel size of a PNG or JPEG from its header
+ * @param {Buffer} buffer - Image data
+ * @returns {Object|null} { width, height }, or null for other formats
+ */
+function getImageDimensions(buffer) {
+  // PNG: IHDR is the first chunk
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // JPEG: walk the segments up to the first start-of-frame marker
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Downloads TMDB (or, for movies without a TMDB ID, IMDB) images of movies into
+ * `<output-dir>/images/<tmdb_id>/` (series: `images/tv-<tmdb_id>/`) and keeps a manifest of what is on disk
+ */
+class ImageDownloader {
+  /**
+   * @param {string} outputDir - Output directory; images go to its `images` subdirectory
+   * @param {Object} options - tmdbApi, imdbApi, requestStats; kinds (default: posters, backdrops);
+   *   size: TMDB size such as w780 or original (default: original); maxImages: per movie and kind
+   */
+  constructor(outputDir, options = {}) {
+    this.outputDir = outputDir;
+    this.imagesDir = path.join(outputDir, 'images');
+    this.manifestPath = path.join(this.imagesDir, 'manifest.json');
+    this.tmdbApi = options.tmdbApi || null;
+    this.imdbApi = options.imdbApi || null;
+    this.kinds = options.kinds || ['posters', 'backdrops'];
+    this.size = options.size || 'original';
+    this.maxImages = options.maxImages || null;
+    this.http = new HttpClient('images', { stats: options.requestStats, maxRetries: options.maxRetries });
+    this.entries = [];
+  }
+
+  getMaxImages(kind) {
+    return this.maxImages || DEFAULT_MAX_IMAGES[kind];
+  }
+
+  /**
+   * Images of one movie to download, best first for each kind
+   * @param {Object} movie - Normalized movie
+   * @returns {Promise<Array>} Image descriptions with kind, url, size, language and original dimensions
+   */
+  async listImages(movie) {
+    const images = [];
+
+    // Episodes only have stills, which are not among the image kinds
+    if (movie.title_type === 'episode') return images;
+
+    if (movie.tmdb_id && this.tmdbApi) {
+      const needsMovieImages = this.kinds.some(kind => kind !== 'profiles');
+      const getImages = movie.title_type === 'series' ? id => this.tmdbApi.getTvImages(id) : id => this.tmdbApi.getMovieImages(id);
+      const tmdbImages = needsMovieImages ? await getImages(movie.tmdb_id) : {};
+
+      this.kinds.forEach(kind => {
+        const size = resolveTmdbSize(kind, this.size);
+
+        if (kind === 'profiles') {
+          // Cast profile URLs are stored at a fixed size; swap in the requested one
+          (movie.cast || [])
+            .filter(actor => actor.profile_path)
+            .slice(0, this.getMaxImages(kind))
+            .forEach(actor => {
+              const filePath = actor.profile_path.replace(/^.*\/t\/p\/[^/]+/, '');
+              images.push({ kind, url: `${TMDB_IMAGE_BASE_URL}/${size}${filePath}`, size, language: null, person: actor.name });
+            });
+          return;
+        }
+
+        (tmdbImages[kind] || []).slice(0, this.getMaxImages(kind)).forEach(image => {
+          images.push({
+            kind,
+            url: `${TMDB_IMAGE_BASE_URL}/${size}${image.file_path}`,
+            size,
+            language: image.iso_639_1 || null,
+            original_width: image.width,
+            original_height: image.height
+          });
+        });
+      });
+    } else if (movie.imdb_id && this.imdbApi) {
+      const imdbImages = (await this.imdbApi.getTitleImages(movie.imdb_id)).images || [];
+
+      this.kinds.filter(kind => IMDB_IMAGE_TYPES[kind]).forEach(kind => {
+        imdbImages
+          .filter(image => IMDB_IMAGE_TYPES[kind].includes(String(image.type).toLowerCase()))
+          .slice(0, this.getMaxImages(kind))
+          .forEach(image => {
+            images.push({ kind, url: image.url, size: 'original', language: null, original_width: image.width, original_height: image.height });
+          });
+      });
+    }
+
+    return images;
+  }
+
+  /**
+   * Download one image unless it is already on disk
+   * @param {Object} image - Image from listImages()
+   * @param {string} movieDir - Directory of the movie's images
+   * @returns {Promise<Object>} Manifest entry
+   */
+  async downloadImage(image, movieDir) {
+    const urlName = path.basename(new URL(image.url).pathname);
+    const baseName = `${image.kind.replace(/s$/, '')}_${image.size}_${path.parse(urlName).name}`;
+
+    // The extension depends on the content type; look for any earlier download first
+    const existing = (await fs.readdir(movieDir).catch(() => [])).find(file => path.parse(file).name === baseName);
+    if (existing) {
+      const filePath = path.join(movieDir, existing);
+      const dimensions = getImageDimensions(await fs.readFile(filePath));
+      return { ...this.describe(image, filePath, dimensions), status: 'existing' };
+    }
+
+    const response = await this.http.get(image.url, { responseType: 'arraybuffer', timeout: 30000 });
+    const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const data = Buffer.from(response.data);
+
+    if (!contentType.startsWith('image/') || data.length === 0) {
+      throw new Error(`Expected an image from ${image.url} but got ${contentType || 'no content type'}`);
+    }
+
+    const filePath = path.join(movieDir, `${baseName}${EXTENSIONS[contentType] || path.extname(urlName) || ''}`);
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+
+    return { ...this.describe(image, filePath, getImageDimensions(data)), status: 'downloaded' };
+  }
+
+  /**
+   * Manifest entry for an image on disk
+   * @param {Object} image - Image from listImages()
+   * @param {string} filePath - Where it is saved
+   * @param {Object|null} dimensions - Size read from the file, if its format is known
+   * @returns {Object} Manifest entry without movie fields and status
+   */
+  describe(image, filePath, dimensions) {
+    // Without a readable header, scale the original size to the requested width/height
+    let { width = null, height = null } = dimensions || {};
+    if (!dimensions && image.original_width && image.original_height) {
+      const match = /^([wh])(\d+)$/.exec(image.size);
+      const scale = !match ? 1 : parseInt(match[2]) / (match[1] === 'w' ? image.original_width : image.original_height);
+      width = Math.round(image.original_width * scale);
+      height = Math.round(image.original_height * scale);
+    }
+
+    return {
+      kind: image.kind,
+      file_path: path.relative(this.outputDir, filePath),
+      width,
+      height,
+      language: image.language,
+      size: image.size,
+      person: image.person || null,
+      source_url: image.url
+    };
+  }
+
+  /**
+   * Download the images of one movie
+   * @param {Object} movie - Normalized movie with tmdb_id or imdb_id
+   * @returns {Promise<Array>} Manifest entries, including failures
+   */
+  async downloadMovieImages(movie) {
+    // Series IDs are numbered apart from movie IDs, so they get their own directories
+    const movieKey = movie.tmdb_id && movie.title_type === 'series' ? `tv-${movie.tmdb_id}` : movie.tmdb_id || movie.imdb_id;
+    if (!movieKey) return [];
+
+    const movieDir = path.join(this.imagesDir, String(movieKey));
+    await fs.mkdir(movieDir, { recursive: true });
+
+    const movieFields = { tmdb_id: movie.tmdb_id || null, imdb_id: movie.imdb_id || null, movie_title: movie.title };
+    const entries = [];
+
+    for (const image of await this.listImages(movie)) {
+      try {
+        entries.push({ ...movieFields, ...(await this.downloadImage(image, movieDir)) });
+      } catch (error) {
+        entries.push({ ...movieFields, kind: image.kind, source_url: image.url, status: 'failed', error: error.message });
+      }
+    }
+
+    this.entries.push(...entries);
+    return entries;
+  }
+
+  /**
+   * Download images of many movies
+   * @param {Array} movies - Movies
+   * @param {Object} options - concurrency (default: 4); onProgress(done, total, movie)
+   * @returns {Promise<Array>} Manifest entries per movie, in input order
+   */
+  async downloadAll(movies, options = {}) {
+    let done = 0;
+    return await mapWithConcurrency(movies, options.concurrency || 4, async (movie) => {
+      let entries;
+      try {
+        entries = await this.downloadMovieImages(movie);
+      } catch (error) {
+        entries = [{ tmdb_id: movie.tmdb_id || null, imdb_id: movie.imdb_id || null, movie_title: movie.title, status: 'failed', error: error.message }];
+        this.entries.push(...entries);
+      }
+      done++;
+      if (options.onProgress) options.onProgress(done, movies.length, movie);
+      return entries;
+    });
+  }
+
+  /**
+   * Write the manifest, keeping entries of earlier runs for files not touched now
+   * @returns {Promise<string>} Manifest path
+   */
+  async writeManifest() {
+    let previous = [];
+    try {
+      previous = JSON.parse(await fs.readFile(this.manifestPath, 'utf8')).images || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const current = this.entries.filter(entry => entry.file_path);
+    const currentPaths = new Set(current.map(entry => entry.file_path));
+    const images = [...previous.filter(entry => !currentPaths.has(entry.file_path)), ...current];
+
+    await fs.mkdir(this.imagesDir, { recursive: true });
+    const tempPath = `${this.manifestPath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ updatedAt: new Date().toISOString(), images }, null, 2), 'utf8');
+    await fs.rename(tempPath, this.manifestPath);
+
+    return this.manifestPath;
+  }
+}
+
+module.exports = {
+  ImageDownloader,
+  IMAGE_KINDS,
+  parseImageKinds,
+  getImageDimensions
+};
@@ -0,0 +1,221 @@
+/**
+ * Title query parsing and candidate scoring used to pick the right movie
+ * out of provider search results.
+ */
+
+const MIN_YEAR = 1870;
+const MAX_YEAR = 2100;
+
+/**
+ * Parse a title line such as "Dune (1984)" or "Dune|1984" into title and year.
+ * A trailing episode code ("The Wire S01E05", "The Wire (2002) S01E05") asks for one episode.
+ * @param {string} line - Raw title line
+ * @returns {Object} Query with title and year (null when not given), plus season and episode for episode codes
+ */
+function parseTitleQuery(line) {
+  let raw = (line || '').trim();
+  let episode = null;
+
+  const episodeMatch = raw.match(/^(.+?)\s+S(\d{1,3})E(\d{1,4})$/i);
+  if (episodeMatch) {
+    raw = episodeMatch[1].trim();
+    episode = { season: parseInt(episodeMatch[2]), episode: parseInt(episodeMatch[3]) };
+  }
+
+  const match = raw.match(/^(.*?)\s*\|\s*(\d{4})$/) || raw.match(/^(.*?)\s*\((\d{4})\)$/);
+
+  if (match && match[1]) {
+    const year = parseInt(match[2]);
+    if (year >= MIN_YEAR && year <= MAX_YEAR) {
+      return { title: match[1].trim(), year, ...episode };
+    }
+  }
+
+  return { title: raw, year: null, ...episode };
+}
+
+/**
+ * Format a query back to a readable label
+ * @param {Object} query - Query with title and year (and season/episode for episodes)
+ * @returns {string} Label like "Dune (1984)" or "The Wire (2002) S01E05"
+ */
+function formatTitleQuery(query) {
+  const label = query.year ? `${query.title} (${query.year})` : query.title;
+  if (!Number.isInteger(query.season)) return label;
+  return `${label} S${String(query.season).padStart(2, '0')}E${String(query.episode).padStart(2, '0')}`;
+}
+
+/**
+ * Normalize a title for comparison: lowercase, no diacritics, no punctuation
+ * @param {string} title - Title to normalize
+ * @returns {string} Normalized title
+ */
+function normalizeTitle(title) {
+  if (!title) return '';
+  return title
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/ł/g, 'l')
+    .replace(/Ł/g, 'L')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/^(the|a|an) /, '')
+    .trim();
+}
+
+function getBigrams(text) {
+  const bigrams = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    bigrams.push(text.slice(i, i + 2));
+  }
+  return bigrams;
+}
+
+/**
+ * Similarity of two titles (Dice coefficient over character bigrams)
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} Similarity between 0 and 1
+ */
+function titleSimilarity(a, b) {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const leftBigrams = getBigrams(left);
+  const rightBigrams = getBigrams(right);
+  const remaining = [...rightBigrams];
+  let overlap = 0;
+
+  leftBigrams.forEach(bigram => {
+    const index = remaining.indexOf(bigram);
+    if (index !== -1) {
+      overlap++;
+      remaining.splice(index, 1);
+    }
+  });
+
+  return (2 * overlap) / (leftBigrams.length + rightBigrams.length);
+}
+
+/**
+ * Score how well a year matches the requested one
+ * @param {number} queryYear - Requested year
+ * @param {number} candidateYear - Candidate's year
+ * @returns {number} Score between 0 and 1
+ */
+function yearScore(queryYear, candidateYear) {
+  if (!queryYear || !candidateYear) return 0;
+
+  const distance = Math.abs(queryYear - candidateYear);
+  if (distance === 0) return 1;
+  if (distance === 1) return 0.6; // Festival vs. theatrical release years often differ by one
+  return Math.max(0, 0.4 - 0.05 * distance);
+}
+
+function getYear(dateString) {
+  const year = dateString ? parseInt(dateString.slice(0, 4)) : NaN;
+  return isNaN(year) ? null : year;
+}
+
+/**
+ * Score a TMDB search result against a query
+ * @param {Object} candidate - TMDB movie or TV search result
+ * @param {Object} query - Query with title and year
+ * @returns {number} Score between 0 and 1
+ */
+function scoreTmdbCandidate(candidate, query) {
+  // TV results have a name and first air date instead of a title and release date
+  const similarity = Math.max(
+    titleSimilarity(query.title, candidate.title || candidate.name),
+    titleSimilarity(query.title, candidate.original_title || candidate.original_name)
+  );
+  const popularity = Math.min(1, Math.log10(1 + (candidate.popularity || 0)) / 3);
+
+  if (query.year) {
+    const year = yearScore(query.year, getYear(candidate.release_date || candidate.first_air_date));
+    return 0.6 * similarity + 0.3 * year + 0.1 * popularity;
+  }
+
+  return 0.85 * similarity + 0.15 * popularity;
+}
+
+/**
+ * Rank TMDB search results for a query, best first
+ * @param {Array} candidates - TMDB search results
+ * @param {Object} query - Query with title and year
+ * @returns {Array} Candidates with a `match_score`, sorted by score
+ */
+function rankTmdbCandidates(candidates, query) {
+  return (candidates || [])
+    .map(candidate => ({ ...candidate, match_score: scoreTmdbCandidate(candidate, query) }))
+    .sort((a, b) => b.match_score - a.match_score);
+}
+
+/**
+ * How confident we are that a merged movie is what the query asked for
+ * @param {Object} query - Query with title and year
+ * @param {Object} movie - Merged movie record
+ * @returns {Object} confidence (0-1) and a human-readable reason
+ */
+function computeMatchConfidence(query, movie) {
+  // Episode queries name the series; the episode's own title and air date say nothing about the match
+  const isEpisode = Number.isInteger(query.season) && movie.title_type === 'episode' && movie.series_title;
+  const candidates = (isEpisode ? [{ title: movie.series_title, kind: 'series title' }] : [
+    { title: movie.title, kind: 'title' },
+    { title: movie.original_title, kind: 'original title' },
+    ...(movie.other_titles || []).map(alt => ({ title: alt.title, kind: 'alternative title' })),
+    ...(movie.translations || []).map(translation => ({ title: translation.title, kind: 'translated title' }))
+  ]).filter(candidate => candidate.title);
+
+  let best = { similarity: 0, kind: 'title' };
+  candidates.forEach(candidate => {
+    const similarity = titleSimilarity(query.title, candidate.title);
+    if (similarity > best.similarity) {
+      best = { similarity, kind: candidate.kind };
+    }
+  });
+
+  const reasons = [best.similarity === 1 ? `exact ${best.kind}` : `${best.kind} similarity ${best.similarity.toFixed(2)}`];
+  let confidence = best.similarity;
+
+  if (isEpisode) {
+    reasons.push(`episode S${query.season}E${query.episode}`);
+  } else if (query.year) {
+    if (!movie.release_year) {
+      confidence *= 0.8;
+      reasons.push('no release year to compare');
+    } else {
+      const distance = Math.abs(query.year - movie.release_year);
+      // A wrong year halves the confidence even for an exact title (remakes share titles)
+      confidence = best.similarity * (0.5 + 0.5 * yearScore(query.year, movie.release_year));
+      reasons.push(distance === 0 ? 'same year' : `year off by ${distance}`);
+    }
+  } else {
+    reasons.push('no year given');
+  }
+
+  if (Array.isArray(movie.sources) && movie.sources.length > 1) {
+    reasons.push(`agreed by ${movie.sources.join('+')}`);
+  }
+
+  return {
+    confidence: Math.round(confidence * 100) / 100,
+    reason: reasons.join(', ')
+  };
+}
+
+module.exports = {
+  parseTitleQuery,
+  formatTitleQuery,
+  normalizeTitle,
+  titleSimilarity,
+  yearScore,
+  scoreTmdbCandidate,
+  rankTmdbCandidates,
+  computeMatchConfidence
+};
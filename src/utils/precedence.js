@@ -0,0 +1,130 @@
+const fs = require('fs');
+
+const PROVIDERS = ['OMDB', 'TMDB', 'IMDB'];
+
+/**
+ * Provider order used for fields without their own rule
+ */
+const DEFAULT_ORDER = ['OMDB', 'TMDB', 'IMDB'];
+
+/**
+ * Per-field provider order. TMDB has exact budget/revenue figures, character names
+ * and certified release dates, OMDB carries awards and MPAA ratings, IMDB is the
+ * source of IMDb ratings.
+ */
+const DEFAULT_FIELD_ORDER = {
+  budget: ['TMDB', 'OMDB', 'IMDB'],
+  gross_worldwide_boxoffice: ['TMDB', 'OMDB', 'IMDB'],
+  cast: ['TMDB', 'OMDB', 'IMDB'],
+  studio: ['TMDB', 'OMDB', 'IMDB'],
+  release_dates: ['TMDB', 'IMDB', 'OMDB'],
+  awards: ['OMDB', 'TMDB', 'IMDB'],
+  rated: ['OMDB', 'TMDB', 'IMDB'],
+  imdb_rating: ['IMDB', 'OMDB', 'TMDB'],
+  imdb_vote_count: ['IMDB', 'OMDB', 'TMDB'],
+  metacritic_score: ['IMDB', 'OMDB', 'TMDB']
+};
+
+/**
+ * Fields TMDB returns in the requested language; OMDB and IMDB only have them in English
+ */
+const LOCALIZED_FIELDS = ['title', 'description', 'tagline', 'genre'];
+
+/**
+ * Complete a (possibly partial) provider list with the remaining providers in default order
+ * @param {Array|string} order - Preferred provider(s)
+ * @param {Array} fallback - Order the remaining providers follow
+ * @returns {Array} Full provider order, upper case
+ */
+function completeOrder(order, fallback = DEFAULT_ORDER) {
+  const preferred = (Array.isArray(order) ? order : [order]).map(provider => {
+    const name = String(provider).trim().toUpperCase();
+    if (!PROVIDERS.includes(name)) {
+      throw new Error(`Unknown provider "${provider}" in field precedence. Available providers: omdb, tmdb, imdb`);
+    }
+    return name;
+  });
+
+  return [...new Set([...preferred, ...fallback])];
+}
+
+/**
+ * Parse `--prefer` rules such as "budget=tmdb,awards=omdb" or "imdb_rating=imdb>omdb"
+ * @param {Array|string} rules - Rules from the command line
+ * @returns {Object} Field name to provider list
+ */
+function parsePreferRules(rules) {
+  const parsed = {};
+
+  [].concat(rules || [])
+    .join(',')
+    .split(',')
+    .map(rule => rule.trim())
+    .filter(Boolean)
+    .forEach(rule => {
+      const [field, providers] = rule.split('=').map(part => part && part.trim());
+      if (!field || !providers) {
+        throw new Error(`Invalid --prefer rule "${rule}". Use field=provider, e.g. budget=tmdb`);
+      }
+      parsed[field] = providers.split('>');
+    });
+
+  return parsed;
+}
+
+/**
+ * Build the merge precedence from defaults, an optional JSON file and `--prefer` rules (in that order)
+ * @param {Object} options - file: JSON file like { "default": ["tmdb"], "budget": ["omdb", "tmdb"] };
+ *   prefer: `--prefer` rules; language: TMDB language, TMDB wins localized fields unless it is English
+ * @returns {Object} Precedence with a `default` order and per-field `fields` orders
+ */
+function buildPrecedence(options = {}) {
+  let defaultOrder = DEFAULT_ORDER;
+  const rules = { ...DEFAULT_FIELD_ORDER };
+
+  if (options.language && !/^en(-|$)/i.test(options.language)) {
+    LOCALIZED_FIELDS.forEach(field => {
+      rules[field] = ['TMDB', 'OMDB', 'IMDB'];
+    });
+  }
+
+  if (options.file) {
+    const fromFile = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+    if (fromFile.default) {
+      defaultOrder = completeOrder(fromFile.default);
+      delete fromFile.default;
+    }
+    Object.assign(rules, fromFile);
+  }
+
+  Object.assign(rules, parsePreferRules(options.prefer));
+
+  const fields = {};
+  Object.keys(rules).forEach(field => {
+    fields[field] = completeOrder(rules[field], defaultOrder);
+  });
+
+  return { default: defaultOrder, fields };
+}
+
+const DEFAULT_PRECEDENCE = buildPrecedence();
+
+/**
+ * Position of a provider for a field; unknown providers rank last
+ * @param {Object} precedence - Precedence from buildPrecedence()
+ * @param {string} field - Field name
+ * @param {string} source - Provider name, or a combined one like "OMDB+TMDB"
+ * @returns {number} Rank, lower wins
+ */
+function getSourceRank(precedence, field, source) {
+  const order = precedence.fields[field] || precedence.default;
+  const index = source ? order.indexOf(source.split('+')[0]) : -1;
+  return index === -1 ? order.length : index;
+}
+
+module.exports = {
+  DEFAULT_PRECEDENCE,
+  buildPrecedence,
+  parsePreferRules,
+  getSourceRank
+};
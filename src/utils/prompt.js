@@ -0,0 +1,89 @@
+const readline = require('readline');
+const chalk = require('chalk');
+const { formatTitleQuery } = require('./matching');
+
+const IMDB_ID_PATTERN = /^tt\d{5,}$/i;
+
+/**
+ * Ask a single question on the terminal
+ * @param {string} question - Prompt text
+ * @returns {Promise<string|null>} Trimmed answer, or null if input was closed
+ */
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    let answered = false;
+
+    // Ctrl+C aborts the run; a checkpoint, if any, allows resuming it
+    rl.on('SIGINT', () => {
+      rl.close();
+      process.exit(130);
+    });
+    rl.on('close', () => {
+      if (!answered) resolve(null);
+    });
+
+    rl.question(question, answer => {
+      answered = true;
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+/**
+ * Show match candidates for a query and let the user pick one, skip, or type an IMDb ID
+ * @param {Object} query - Query with title and year
+ * @param {Array} candidates - Candidates with title, year, director, poster_url, imdb_id
+ * @param {string} reason - Why the query needs a decision
+ * @returns {Promise<Object>} { imdb_id, title, year } or { skip: true }
+ */
+async function promptMatchChoice(query, candidates, reason) {
+  console.log(chalk.blue(`\n"${formatTitleQuery(query)}" is ambiguous (${reason}):`));
+
+  candidates.forEach((candidate, index) => {
+    const details = [
+      candidate.year || 'unknown year',
+      candidate.director ? `dir. ${candidate.director}` : null,
+      candidate.imdb_id || 'no IMDb ID',
+      candidate.source
+    ].filter(Boolean).join(', ');
+    console.log(`  ${chalk.cyan(`${index + 1})`)} ${candidate.title} (${details})`);
+    if (candidate.poster_url) {
+      console.log(chalk.gray(`     ${candidate.poster_url}`));
+    }
+  });
+
+  if (candidates.length === 0) {
+    console.log(chalk.yellow('  No candidates found.'));
+  }
+
+  const defaultHint = candidates.length > 0 ? ', Enter = 1' : ', Enter = skip';
+  for (;;) {
+    const answer = await ask(`Choose 1-${candidates.length}, "s" to skip or an IMDb ID (tt...)${defaultHint}: `);
+
+    // Closed input (Ctrl+D) skips the title instead of waiting forever
+    if (answer === null || (answer === '' && candidates.length === 0)) {
+      return { skip: true };
+    }
+    if (answer.toLowerCase() === 's') {
+      return { skip: true };
+    }
+    if (IMDB_ID_PATTERN.test(answer)) {
+      return { imdb_id: answer.toLowerCase() };
+    }
+
+    const choice = answer === '' ? 1 : parseInt(answer);
+    const candidate = candidates[choice - 1];
+    if (candidate && candidate.imdb_id) {
+      return { imdb_id: candidate.imdb_id, title: candidate.title, year: candidate.year };
+    }
+
+    console.log(chalk.yellow(candidate ? 'That candidate has no IMDb ID, type one instead.' : 'Invalid choice.'));
+  }
+}
+
+module.exports = {
+  ask,
+  promptMatchChoice
+};
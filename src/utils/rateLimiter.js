@@ -0,0 +1,61 @@
+/**
+ * Token-bucket rate limiter with a FIFO wait queue.
+ * Safe under concurrency: every caller gets its own token, so parallel
+ * requests are spaced out instead of reading the same timestamp and bursting.
+ */
+class RateLimiter {
+  constructor(ratePerSecond, burst = 1) {
+    if (!(ratePerSecond > 0)) {
+      throw new Error(`Rate limit must be a positive number, got: ${ratePerSecond}`);
+    }
+
+    this.ratePerSecond = ratePerSecond;
+    this.capacity = Math.max(1, burst);
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.queue = [];
+    this.timer = null;
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = now - this.lastRefill;
+    this.tokens = Math.min(this.capacity, this.tokens + (elapsed * this.ratePerSecond) / 1000);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait for a token
+   * @returns {Promise<void>} Resolves when the caller may send its request
+   */
+  acquire() {
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+      this.drain();
+    });
+  }
+
+  drain() {
+    if (this.timer) return;
+
+    this.refill();
+    while (this.queue.length > 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.queue.shift()();
+    }
+
+    if (this.queue.length > 0) {
+      const waitMs = Math.ceil(((1 - this.tokens) * 1000) / this.ratePerSecond);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, waitMs);
+    }
+  }
+
+  get pending() {
+    return this.queue.length;
+  }
+}
+
+module.exports = RateLimiter;
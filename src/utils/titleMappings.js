@@ -0,0 +1,87 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseTitleQuery, formatTitleQuery, normalizeTitle } = require('./matching');
+
+/**
+ * Remembered answers to ambiguous title queries, kept in a JSON file keyed by
+ * the query label, e.g. { "Dune": { "imdb_id": "tt0087182", "title": "Dune", "year": 1984 } }.
+ * A query mapped to { "skip": true } is never searched.
+ */
+class TitleMappings {
+  constructor(filePath) {
+    this.filePath = filePath || process.env.TITLE_MAPPINGS_FILE || './title_mappings.json';
+    this.entries = {};
+    this.saving = null;
+  }
+
+  buildKey(query) {
+    const episode = Number.isInteger(query.season) ? `|S${query.season}E${query.episode}` : '';
+    return `${normalizeTitle(query.title)}|${query.year || ''}${episode}`;
+  }
+
+  /**
+   * Load the mapping file
+   * @returns {Promise<number>} Number of mappings loaded (0 if the file does not exist)
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    const stored = JSON.parse(content);
+    this.entries = {};
+    Object.keys(stored).forEach(label => {
+      this.entries[this.buildKey(parseTitleQuery(label))] = { label, ...stored[label] };
+    });
+
+    return Object.keys(this.entries).length;
+  }
+
+  /**
+   * Look up the remembered choice for a query
+   * @param {Object} query - Query with title and year
+   * @returns {Object|null} Mapping with imdb_id, or { skip: true }, or null
+   */
+  get(query) {
+    const entry = this.entries[this.buildKey(query)];
+    if (!entry || (!entry.skip && !entry.imdb_id)) return null;
+    return entry;
+  }
+
+  /**
+   * Remember a choice and write the file
+   * @param {Object} query - Query with title and year
+   * @param {Object} choice - { imdb_id, title, year } or { skip: true }
+   * @returns {Promise<void>} Resolves once the file is written
+   */
+  set(query, choice) {
+    this.entries[this.buildKey(query)] = { label: formatTitleQuery(query), ...choice };
+
+    this.saving = (this.saving || Promise.resolve())
+      .catch(() => {})
+      .then(() => this.write());
+    return this.saving;
+  }
+
+  async write() {
+    const stored = {};
+    Object.values(this.entries).forEach(({ label, ...choice }) => {
+      stored[label] = choice;
+    });
+
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(stored, null, 2), 'utf8');
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  get size() {
+    return Object.keys(this.entries).length;
+  }
+}
+
+module.exports = TitleMappings;